@@ -0,0 +1,150 @@
+// Stub RNAcentral export service, for trying the component's progress stream and polling without the real one.
+//
+//   node scripts/stub-export-server.js [--port=8001] [--stream=ok|drop|off|fail] [--duration=20]
+//
+// --stream picks how the Server-Sent Events progress stream behaves:
+//   ok    events every second until the job is done
+//   drop  the connection is cut after a few events, every time, so the component reconnects with growing
+//         delays (1, 2, 4, 8, 16 s) and, after the sixth drop, falls back to polling. Jobs take 90 s by
+//         default in this mode so the fallback happens before they finish
+//   off   the stream answers 404, so the component polls the download endpoint from the start
+//   fail  the job reports "failed" half way through
+//
+// Jobs take --duration seconds (20 by default). Finished files are small placeholders; the parquet one is not a real
+// parquet file, so set preview-data="false" on the component.
+
+const http = require('http');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => arg.replace(/^--/, '').split('=')));
+const port = parseInt(args.port) || 8001;
+const streamMode = args.stream || 'ok';
+const durationMs = (parseFloat(args.duration) || (streamMode === 'drop' ? 90 : 20)) * 1000;
+const HIT_COUNT = 1000;
+
+const jobs = new Map();
+let nextTaskId = 1;
+
+const FILES = {
+  parquet: { type: 'application/octet-stream', body: 'PAR1 placeholder' },
+  fasta: { type: 'text/plain', body: '>URS0000000001_9606\nACGUACGUACGU\n' },
+  csv: { type: 'text/csv', body: 'urs_id,sequence\nURS0000000001_9606,ACGUACGUACGU\n' },
+  jsonl: { type: 'application/jsonl', body: '{"urs_id":"URS0000000001_9606","sequence":"ACGUACGUACGU"}\n' },
+  huggingface: { type: 'text/markdown', body: '---\nlicense: cc0-1.0\n---\n\n# Stub dataset\n' },
+};
+
+function progress(job) {
+  const fraction = Math.min(1, (Date.now() - job.startedAt) / durationMs);
+  return { processed: Math.floor(fraction * HIT_COUNT), done: fraction >= 1 };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data ? JSON.parse(data) : {}));
+  });
+}
+
+function streamProgress(req, res, job, dataType) {
+  if (streamMode === 'off') {
+    send(res, 404, { error: 'no stream' });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  let sent = 0;
+
+  const timer = setInterval(() => {
+    const { processed, done } = progress(job);
+    let event;
+
+    if (job.cancelled || (streamMode === 'fail' && processed >= HIT_COUNT / 2)) {
+      event = { state: 'failed', error: job.cancelled ? 'Job was cancelled' : 'Stub export failed' };
+    } else if (done) {
+      event = { state: 'done' };
+    } else {
+      event = { state: 'running', progress_ids: processed, hit_count: HIT_COUNT };
+    }
+
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    sent++;
+    console.log(`stream ${job.taskId}/${dataType}: ${event.state} ${event.progress_ids || ''}`);
+
+    if (event.state !== 'running' || (streamMode === 'drop' && sent >= 3)) {
+      clearInterval(timer);
+      res.end();
+    }
+  }, 1000);
+
+  req.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer(async (req, res) => {
+  // The component runs on another origin (http-server on :8000)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Length');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const [, action, taskId, dataType] = url.pathname.split('/');
+  console.log(req.method, url.pathname);
+
+  if (req.method === 'POST' && action === 'submit') {
+    const body = await readBody(req);
+    const job = { taskId: String(nextTaskId++), startedAt: Date.now(), cancelled: false };
+    jobs.set(job.taskId, job);
+    send(res, 200, {
+      task_id: job.taskId,
+      progress_stream_url: `http://localhost:${port}/progress/${job.taskId}/${body.data_type}`,
+    });
+    return;
+  }
+
+  const job = jobs.get(taskId);
+  if (!job) {
+    send(res, 404, { error: `Unknown task ${taskId}` });
+    return;
+  }
+
+  if (req.method === 'POST' && action === 'cancel') {
+    job.cancelled = true;
+    send(res, 200, { cancelled: true });
+    return;
+  }
+
+  if (action === 'progress') {
+    streamProgress(req, res, job, dataType);
+    return;
+  }
+
+  if (action === 'download') {
+    const { processed, done } = progress(job);
+    if (!done) {
+      send(res, 200, { progress_ids: processed, hit_count: HIT_COUNT });
+      return;
+    }
+
+    const file = FILES[dataType] || FILES.fasta;
+    res.writeHead(200, { 'Content-Type': file.type, 'Content-Length': Buffer.byteLength(file.body) });
+    res.end(req.method === 'HEAD' ? undefined : file.body);
+    return;
+  }
+
+  send(res, 404, { error: 'Not found' });
+});
+
+server.listen(port, () => {
+  console.log(`Stub export service on http://localhost:${port} (stream: ${streamMode}, jobs take ${durationMs / 1000} s)`);
+});
@@ -0,0 +1,197 @@
+import { createHttpError, networkFetch } from '../http-error.js';
+
+// Export backend for the RNAcentral export service.
+//
+// Every backend implements the same four calls, which is all the component needs
+// to drive an export:
+//
+//   submit({ sourceApiUrl, dataType, options, signal })  -> { taskId }
+//   status({ taskId, dataType, signal })                 -> { state, processed, total, percentage }
+//   getResultUrl({ taskId, dataType })                   -> URL string the finished file is served from
+//   cancel({ taskId, dataType })                         -> stops a job server-side (best effort)
+//
+// `state` is 'queued', 'running' or 'done'; a failed job should make status() throw.
+// Errors for HTTP failures should carry the response `status` (and `retryAfterMs` for 429s)
+// so the component can tell transient failures from permanent ones; createHttpError does that.
+//
+// The optional countResults({ sourceApiUrl, signal }) returns how many rows the query
+// matches, for the pre-flight check, and the optional listFields({ sourceApiUrl, signal })
+// returns the columns that can be exported as [{ name, label, description, dtype }].
+// The optional getReleaseInfo({ signal }) describes the data release being exported, for
+// the provenance manifest committed with the dataset.
+//
+// submit() may also return a `streamUrl` for Server-Sent Events progress. Each event is
+// turned into a status by the optional parseProgressEvent(data), or parsed as JSON.
+
+export class RNAcentralBackend {
+  constructor({ exportApiUrl, cancelApiUrl, progressStreamUrl }) {
+    this.exportApiUrl = exportApiUrl;
+    this.cancelApiUrl = cancelApiUrl;
+    this.progressStreamUrl = progressStreamUrl;
+  }
+
+  get baseUrl() {
+    return this.exportApiUrl.replace('/submit', '');
+  }
+
+  async submit({ sourceApiUrl, dataType, options = {}, signal }) {
+    const body = { api_url: sourceApiUrl, data_type: dataType };
+
+    if (options.fields) {
+      body.fields = options.fields;
+    }
+
+    if (options.split) {
+      Object.assign(body, {
+        split: options.split,
+        split_ratios: options.splitRatios,
+        split_seed: options.splitSeed,
+      });
+      if (options.stratifyBy) {
+        body.stratify_by = options.stratifyBy;
+      }
+    }
+
+    const response = await networkFetch(this.exportApiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw createHttpError(`Export submission failed: ${response.statusText}`, response);
+    }
+
+    const data = await response.json();
+    return { taskId: data.task_id, streamUrl: this.getStreamUrl(data, dataType) };
+  }
+
+  getStreamUrl(submitResponse, dataType) {
+    // The service advertises a stream per job; the progress-stream-url attribute forces one
+    if (this.progressStreamUrl) {
+      return `${this.progressStreamUrl.replace(/\/$/, '')}/${submitResponse.task_id}/${dataType}`;
+    }
+    return submitResponse.progress_stream_url || null;
+  }
+
+  async status({ taskId, dataType, signal }) {
+    const response = await networkFetch(this.getResultUrl({ taskId, dataType }), { signal });
+
+    if (!response.ok) {
+      throw createHttpError(`Status check failed for ${dataType}: ${response.statusText}`, response);
+    }
+
+    // The download endpoint answers with JSON progress while the job runs, and with the file itself once it's done.
+    // Only the exact media type counts: a finished JSONL file may be served as application/jsonl or application/json-seq
+    const contentType = response.headers.get('content-type');
+    const mediaType = contentType ? contentType.split(';')[0].trim().toLowerCase() : '';
+
+    if (mediaType === 'application/json') {
+      return this.toRunningStatus(await response.json());
+    }
+
+    // Job is complete — do NOT consume the body, the HF library will fetch it
+    return { state: 'done', percentage: 100 };
+  }
+
+  parseProgressEvent(data) {
+    // Stream events carry the same counters as the JSON status, plus the job state
+    const event = JSON.parse(data);
+
+    if (event.state === 'failed') {
+      throw new Error(event.error || 'Export job failed');
+    }
+    if (event.state === 'done') {
+      return { state: 'done', percentage: 100 };
+    }
+    return this.toRunningStatus(event);
+  }
+
+  toRunningStatus(status) {
+    const processed = status.progress_ids || 0;
+    const total = status.hit_count || 100;
+    return {
+      state: processed > 0 ? 'running' : 'queued',
+      processed,
+      total,
+      percentage: Math.round((processed / total) * 100),
+    };
+  }
+
+  async countResults({ sourceApiUrl, signal }) {
+    // EBI Search reports the total hit count even when asked for zero entries
+    const url = new URL(sourceApiUrl);
+    url.searchParams.set('size', '0');
+    url.searchParams.set('format', 'json');
+
+    const response = await networkFetch(url, { signal });
+    if (!response.ok) {
+      throw createHttpError(`Result count failed: ${response.statusText}`, response);
+    }
+
+    const data = await response.json();
+    return data.hitCount;
+  }
+
+  async listFields({ sourceApiUrl, signal }) {
+    // Prefer the columns the export service says it can write
+    try {
+      const response = await networkFetch(`${this.baseUrl}/fields`, { signal });
+      if (response.ok) {
+        const data = await response.json();
+        return data.fields.map(field => ({
+          name: field.name,
+          label: field.label || field.name,
+          description: field.description || '',
+          dtype: field.dtype || 'string',
+        }));
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+    }
+
+    // Otherwise fall back to the retrievable fields of the EBI Search domain
+    const url = new URL(sourceApiUrl);
+    url.search = '?format=json';
+
+    const response = await networkFetch(url, { signal });
+    if (!response.ok) {
+      throw createHttpError(`Field list failed: ${response.statusText}`, response);
+    }
+
+    const data = await response.json();
+    const domain = data.domains[0];
+    return domain.fieldInfos
+      .filter(info => info.options.some(option => option.name === 'retrievable' && option.value === 'true'))
+      .map(info => ({ name: info.id, label: info.label || info.id, description: info.description || '', dtype: 'string' }));
+  }
+
+  async getReleaseInfo({ signal }) {
+    const response = await networkFetch(`${this.baseUrl}/release`, { signal });
+
+    // Older deployments of the service don't report their release
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw createHttpError(`Release info failed: ${response.statusText}`, response);
+    }
+    return response.json();
+  }
+
+  getResultUrl({ taskId, dataType }) {
+    return `${this.baseUrl}/download/${taskId}/${dataType}`;
+  }
+
+  async cancel({ taskId }) {
+    const cancelUrl = (this.cancelApiUrl || `${this.baseUrl}/cancel`).replace(/\/$/, '');
+
+    // keepalive lets the request finish even if the user is navigating away
+    const response = await networkFetch(`${cancelUrl}/${taskId}`, { method: 'POST', keepalive: true });
+
+    if (!response.ok) {
+      throw createHttpError(`Cancel request failed: ${response.statusText}`, response);
+    }
+  }
+}
@@ -1,21 +1,140 @@
-import { createRepo, uploadFiles, whoAmI, oauthLoginUrl } from '@huggingface/hub';
+import { createRepo, uploadFilesWithProgress, listFiles, listCommits, downloadFile, whoAmI, oauthLoginUrl, HubApiError } from '@huggingface/hub';
+import { RNAcentralBackend } from './backends/rnacentral.js';
+import { createHttpError, markNetworkError, networkFetch } from './http-error.js';
+import packageInfo from '../package.json';
+
+// Unfinished exports older than this are discarded instead of offered for resume
+const SAVED_EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Past exports are kept per browser, shared by every exporter; the oldest are dropped beyond the limit
+const HISTORY_KEY = 'hf_export_history';
+const HISTORY_LIMIT = 50;
+
+// Formats the export service can produce, and where each one is written in the dataset repo.
+// bytesPerRow is a rough average for RNAcentral sequences, only used for the pre-flight size estimate.
+const EXPORT_FORMATS = {
+  parquet: { label: 'Parquet', dataType: 'parquet', path: 'data.parquet', bytesPerRow: 150 },
+  fasta: { label: 'FASTA', dataType: 'fasta', path: 'data/sequences.fasta', bytesPerRow: 350 },
+  csv: { label: 'CSV', dataType: 'csv', path: 'data/sequences.csv', bytesPerRow: 400 },
+  jsonl: { label: 'JSONL', dataType: 'jsonl', path: 'data/sequences.jsonl', bytesPerRow: 550 },
+};
+
+// Export backends selectable with the `backend` attribute; hosts add their own with HFDatasetExporter.registerBackend()
+const BACKENDS = new Map([
+  ['rnacentral', (config) => new RNAcentralBackend(config)],
+]);
+
+const BACKEND_METHODS = ['submit', 'status', 'getResultUrl', 'cancel'];
+
+// Progress streams reconnect with exponential backoff, then give up and fall back to polling
+const STREAM_MAX_RECONNECTS = 5;
+const STREAM_BACKOFF_MAX_MS = 30 * 1000;
+// A stream has to stay up this long before its drops stop counting towards STREAM_MAX_RECONNECTS
+const STREAM_HEALTHY_MS = 60 * 1000;
+
+// Split names in the order they appear in the form and in the dataset card
+const SPLIT_NAMES = ['train', 'validation', 'test'];
+
+// The dataset card is always exported alongside the data files
+const README_JOB = { format: 'readme', label: 'README', dataType: 'huggingface', path: 'README.md' };
+
+// Size buckets accepted by the Hub in the size_categories card field
+const SIZE_CATEGORIES = [
+  'n<1K', '1K<n<10K', '10K<n<100K', '100K<n<1M', '1M<n<10M', '10M<n<100M',
+  '100M<n<1B', '1B<n<10B', '10B<n<100B', '100B<n<1T', 'n>1T',
+];
+
+// Refresh (or re-prompt for) the HuggingFace token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Fired on window whenever the stored session changes, so every exporter on the page stays in sync
+const SESSION_CHANGE_EVENT = 'hf-dataset-exporter:session-change';
+
+// Shared by all exporters on the page using the same session (see getSessionKey), so only one of them
+// runs the OAuth flow or a token refresh
+const pendingSessionTasks = new Map();
+
+// EBI Search facets the query builder edits as separate inputs instead of as query text
+const QUERY_FACETS = [
+  { field: 'rna_type', label: 'RNA type', placeholder: 'miRNA, rRNA' },
+  { field: 'TAXONOMY', label: 'Taxonomy ID', placeholder: '9606' },
+  { field: 'expert_db', label: 'Expert database', placeholder: 'miRBase' },
+];
+
+// Wait for the user to stop typing before asking the search API for a new hit count
+const HIT_COUNT_DEBOUNCE_MS = 500;
+
+// The data preview reads this many rows from the start of the parquet file, and shows them a page at a time
+const PREVIEW_ROWS = 100;
+const PREVIEW_PAGE_SIZE = 10;
+
+// The export pipelines, in order: publishing to the Hub, downloading the files instead, and a dry run
+// that only shows what would be pushed. Every step can be run again after a failure without redoing finished work.
+const PIPELINE_STEPS = {
+  upload: ['authenticate', 'preflight', 'submit', 'poll', 'preview', 'review', 'upload', 'verify'],
+  download: ['preflight', 'submit', 'poll', 'review', 'download'],
+  dryRun: ['authenticate', 'plan'],
+};
+
+const NEW_DATASET_COMMIT_TITLE = 'Add dataset exported from RNAcentral';
+
+// Machine-readable record of how a dataset was exported, committed next to the data so it can be re-exported
+const PROVENANCE_PATH = 'rnacentral_export.json';
+
+// Overridden by the hub-url attribute, e.g. for a private mirror or a local mock Hub
+const DEFAULT_HUB_URL = 'https://huggingface.co';
+
+// After an upload, the dataset viewer's parquet conversion is followed for this long
+const DATASETS_SERVER_URL = 'https://datasets-server.huggingface.co';
+const VIEWER_POLL_INTERVAL_MS = 10 * 1000;
+const VIEWER_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Where a saved export picks up again, by the step it was saved at: the first of these the pipeline has
+// (downloads have no preview step)
+const RESUME_STEPS = { polling: ['poll'], uploading: ['preview', 'review'] };
+
+// How often each step is tried when it fails with a transient, rate-limited or auth-expired error.
+// Signing in needs the user, so it isn't retried by default. Hosts can override these with the retryPolicies property.
+const DEFAULT_RETRY_POLICIES = {
+  authenticate: { maxAttempts: 1, baseDelayMs: 1000, maxDelayMs: 10 * 1000 },
+  preflight: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10 * 1000 },
+  submit: { maxAttempts: 4, baseDelayMs: 2000, maxDelayMs: 30 * 1000 },
+  poll: { maxAttempts: 5, baseDelayMs: 2000, maxDelayMs: 30 * 1000 },
+  preview: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10 * 1000 },
+  review: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10 * 1000 },
+  upload: { maxAttempts: 4, baseDelayMs: 5000, maxDelayMs: 60 * 1000 },
+  // Verification reports its own problems as warnings; the upload has already succeeded by then
+  verify: { maxAttempts: 1, baseDelayMs: 1000, maxDelayMs: 10 * 1000 },
+  download: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10 * 1000 },
+  plan: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10 * 1000 },
+};
 
 class HFDatasetExporter extends HTMLElement {
+  static registerBackend(name, factory) {
+    BACKENDS.set(name, factory);
+  }
+
+  static get observedAttributes() {
+    return ['source-api-url'];
+  }
+
   constructor() {
     super();
 
     // Initialize state
     this.accessToken = null;
-    this.parquetJobId = null;
-    this.readmeJobId = null;
-    this.parquetReady = false;
-    this.readmeReady = false;
+    this.refreshToken = null;
+    this.tokenExpiresAt = null;
+    this.refreshTimer = null;
+    this.jobs = [];
     this.exportStatus = 'idle';
-    this.uploadProgress = 0;
-    this.retryCount = 0;
-    this.maxRetries = 3;  // Allow retries for transient OAuth failures
+    this.exportProgress = 0;
+    this.uploadState = null;
+    this.step = null;
+    this.retryPolicyOverrides = {};
     this.pollInterval = null;
     this.oauthPopup = null;
+    this.abortController = null;
 
     // Attach shadow DOM
     this.attachShadow({ mode: 'open' });
@@ -27,506 +146,4073 @@ class HFDatasetExporter extends HTMLElement {
   connectedCallback() {
     // Parse configuration attributes
     this.config = {
+      backend: this.getAttribute('backend') || 'rnacentral',
       exportApiUrl: this.getAttribute('export-api-url') || '',
       hfClientId: this.getAttribute('hf-client-id') || '',
+      hubUrl: (this.getAttribute('hub-url') || DEFAULT_HUB_URL).replace(/\/$/, ''),
       redirectUri: this.getAttribute('redirect-uri') || window.location.origin + '/oauth/callback',
+      authMode: this.getAttribute('auth-mode') === 'token' ? 'token' : 'oauth',
+      loginMode: this.getAttribute('login-mode') === 'redirect' ? 'redirect' : 'popup',
+      loginRedirectUri: this.getAttribute('login-redirect-uri') || window.location.origin + window.location.pathname,
+      allowedOrigins: this.parseList(this.getAttribute('allowed-origins') || ''),
       datasetDescription: this.getAttribute('dataset-description') || 'Dataset exported from RNAcentral',
       license: this.getAttribute('license') || 'cc0-1.0',
+      reviewCard: this.hasAttribute('review-card') && this.getAttribute('review-card') !== 'false',
+      previewData: this.getAttribute('preview-data') !== 'false',
       pollIntervalMs: parseInt(this.getAttribute('poll-interval')) || 5000,
+      maxResults: parseInt(this.getAttribute('max-results')) || null,
+      cancelApiUrl: this.getAttribute('cancel-api-url') || '',
+      progressStreamUrl: this.getAttribute('progress-stream-url') || '',
       oauthScopes: this.getAttribute('oauth-scopes') || 'openid profile email read-repos write-repos manage-repos',
+      formats: this.parseFormats(this.getAttribute('formats')),
+      splits: this.parseSplits(this.getAttribute('splits')),
+      splitSeed: this.parseSeed(this.getAttribute('split-seed')),
+      splitStratify: this.getAttribute('split-stratify') || '',
+      defaultNamespace: this.getAttribute('default-namespace') || '',
+      private: this.hasAttribute('private') && this.getAttribute('private') !== 'false',
+      queryBuilder: this.hasAttribute('query-builder') && this.getAttribute('query-builder') !== 'false',
+      fields: this.parseList(this.getAttribute('fields') || ''),
+      mode: this.getAttribute('mode') === 'download' ? 'download' : 'upload',
     };
 
+    this.applyConfigToForm();
+    this.loadSourceQuery();
+    this.loadFields();
+
     // Listen for OAuth callback messages
     this._boundHandleOAuthCallback = this.handleOAuthCallback.bind(this);
     window.addEventListener('message', this._boundHandleOAuthCallback);
 
+    // Pick up a session started by another exporter (or before a reload)
+    this._boundAdoptSession = (event) => {
+      if (event.detail.source !== this) {
+        this.adoptSession();
+      }
+    };
+    window.addEventListener(SESSION_CHANGE_EVENT, this._boundAdoptSession);
+    this.adoptSession();
+
     // Add event listeners
     this.setupEventListeners();
+
+    // Offer to pick up an export that was interrupted by a reload or closed tab
+    this.checkForSavedExport();
+
+    // Coming back from a full-page login: finish it and carry on with what was started
+    this.completeRedirectLogin();
+
+    this.renderHistory();
   }
 
   disconnectedCallback() {
     // Cleanup
-    if (this._pollIntervals) {
-      this._pollIntervals.forEach(id => clearInterval(id));
+    if (this.abortController) {
+      this.abortController.abort();
     }
+    this.stopPolling();
     if (this.oauthPopup && !this.oauthPopup.closed) {
       this.oauthPopup.close();
     }
     window.removeEventListener('message', this._boundHandleOAuthCallback);
+    window.removeEventListener(SESSION_CHANGE_EVENT, this._boundAdoptSession);
+    clearTimeout(this.refreshTimer);
+    clearTimeout(this.hitCountTimer);
+    if (this.hitCountController) {
+      this.hitCountController.abort();
+    }
+    this.stopViewerWatch();
   }
 
-  setupEventListeners() {
-    const exportBtn = this.shadowRoot.getElementById('export-btn');
-    const datasetNameInput = this.shadowRoot.getElementById('dataset-name');
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Host search pages update source-api-url as the user refines their search.
+    // Before connectedCallback there's no config yet, and it loads the query itself.
+    if (name === 'source-api-url' && oldValue !== newValue && this.config) {
+      this.loadSourceQuery();
+    }
+  }
 
-    if (exportBtn) {
-      exportBtn.addEventListener('click', () => this.startExport());
+  // Public API for host pages
+
+  get backend() {
+    return this.getBackend();
+  }
+
+  set backend(value) {
+    // Either a registered backend name or a backend object
+    this._backendOverride = value;
+    this._backendInstance = null;
+  }
+
+  get status() {
+    return this.exportStatus;
+  }
+
+  get retryPolicies() {
+    return Object.fromEntries(Object.keys(DEFAULT_RETRY_POLICIES).map(step => [step, this.getRetryPolicy(step)]));
+  }
+
+  set retryPolicies(value) {
+    // Per-step overrides, merged over the defaults, e.g. { upload: { maxAttempts: 6 } }
+    this.retryPolicyOverrides = value || {};
+  }
+
+  get progress() {
+    // Percentage of whichever stage is running
+    return this.exportStatus === 'uploading' && this.uploadState ? this.uploadState.percentage : this.exportProgress;
+  }
+
+  start(options = {}) {
+    // Ignored while an export is running; cancel() it first
+    if (this.isBusy()) {
+      return Promise.resolve();
     }
 
-    if (datasetNameInput) {
-      datasetNameInput.addEventListener('input', (e) => {
-        this.validateDatasetName(e.target.value);
-      });
+    if (options.datasetName !== undefined) {
+      const input = this.shadowRoot.getElementById('dataset-name');
+      input.value = options.datasetName;
+      this.validateDatasetName(options.datasetName);
     }
+    return this.startExport({ target: options.mode, dryRun: options.dryRun });
   }
 
-  validateDatasetName(name) {
-    // HuggingFace dataset names must be lowercase alphanumeric with hyphens/underscores
-    const isValid = /^[a-z0-9-_]+$/.test(name);
-    const input = this.shadowRoot.getElementById('dataset-name');
-    const btn = this.shadowRoot.getElementById('export-btn');
+  get history() {
+    return this.loadHistory();
+  }
 
-    if (isValid || name === '') {
-      input.style.borderColor = '';
-      btn.disabled = !name;
-    } else {
-      input.style.borderColor = 'red';
-      btn.disabled = true;
+  clearHistory() {
+    this.saveHistory([]);
+  }
+
+  cancel() {
+    if (!this.isBusy()) {
+      return false;
     }
 
-    return isValid;
+    // Aborts in-flight fetches, uploadFiles and any retry that's waiting to run
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    this.stopPolling();
+
+    if (this.oauthPopup && !this.oauthPopup.closed) {
+      this.oauthPopup.close();
+    }
+    if (this.oauthReject) {
+      this.oauthReject(this.createCancelError());
+    }
+
+    const jobs = this.jobs.filter(job => job.taskId);
+
+    // Free the export service workers; no need to wait for the answer
+    this.cancelServerJobs(jobs.filter(job => !job.ready));
+
+    this.emit('export-cancel', { jobs: jobs.map(({ dataType, taskId }) => ({ dataType, taskId })) });
+    this.finishHistoryEntry('cancelled');
+
+    this.clearSavedExport();
+    this.clearJobState();
+    this.updateStatus('idle', '');
+    return true;
   }
 
-  async startExport(isRetry = false) {
-    const datasetName = this.shadowRoot.getElementById('dataset-name').value.trim();
+  reset() {
+    this.cancel();
+    this.clearJobState();
+    this.clearDownloads();
+    this.stopViewerWatch();
+    this.shadowRoot.getElementById('dry-run-plan').style.display = 'none';
+    this.shadowRoot.getElementById('verification').style.display = 'none';
+    this.datasetUrl = null;
 
-    if (!datasetName) {
-      this.updateStatus('error', 'Please enter a dataset name');
-      return;
+    const linkContainer = this.shadowRoot.getElementById('dataset-link');
+    if (linkContainer) {
+      linkContainer.innerHTML = '';
+      linkContainer.style.display = 'none';
     }
 
-    if (!this.validateDatasetName(datasetName)) {
-      this.updateStatus('error', 'Dataset name must be lowercase alphanumeric with hyphens or underscores');
-      return;
+    this.updateStatus('idle', '');
+  }
+
+  clearJobState() {
+    this.jobs = [];
+    this.exportProgress = 0;
+    this.uploadState = null;
+    this.uploadChoice = null;
+    this.step = null;
+  }
+
+  isBusy() {
+    return this.exportStatus === 'authenticating' ||
+           this.exportStatus === 'exporting' ||
+           this.exportStatus === 'reviewing' ||
+           this.exportStatus === 'uploading' ||
+           this.exportStatus === 'retrying';
+  }
+
+  emit(name, detail = {}) {
+    // composed so the events cross the shadow boundary and reach host page listeners
+    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+  }
+
+  createCancelError() {
+    const error = new Error('Export cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  throwIfCancelled() {
+    if (this.abortController && this.abortController.signal.aborted) {
+      throw this.createCancelError();
     }
+  }
 
-    this.datasetName = datasetName;
+  parseFormats(value) {
+    const formats = (value || 'parquet')
+      .split(',')
+      .map(format => format.trim().toLowerCase())
+      .filter(format => EXPORT_FORMATS[format]);
+
+    if (formats.length === 0) {
+      console.warn(`No supported formats in "${value}", falling back to parquet`);
+      return ['parquet'];
+    }
+    return formats;
+  }
 
-    // Only reset retry count if this is a fresh start, not a retry
-    if (!isRetry) {
-      this.retryCount = 0;
+  getSelectedFormats() {
+    const checkboxes = this.shadowRoot.querySelectorAll('#formats input[type="checkbox"]');
+    if (checkboxes.length === 0) {
+      return this.config.formats;
     }
+    return [...checkboxes].filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+  }
 
+  async loadFields() {
+    // Without a backend that lists fields, only the ones named in the fields attribute can be chosen
+    let available = [];
     try {
-      // Step 1: Authenticate with HuggingFace
-      await this.ensureAuthenticated();
+      const backend = this.getBackend();
+      if (backend.listFields) {
+        available = await backend.listFields({ sourceApiUrl: this.getAttribute('source-api-url') || '' });
+      }
+    } catch (error) {
+      console.warn('Could not load the available fields:', error);
+    }
 
-      // Step 2: Submit export job
-      await this.submitExportJob();
+    this.availableFields = available;
+    this.renderFieldList();
+  }
 
-      // Step 3: Poll for completion and get download URL
-      await this.pollExportStatus();
+  renderFieldList() {
+    const group = this.shadowRoot.getElementById('columns-group');
+    const list = this.shadowRoot.getElementById('columns');
+    const preselected = this.config.fields;
+
+    // Preselected fields come first, in the order they were given
+    const names = [
+      ...preselected,
+      ...this.availableFields.map(field => field.name).filter(name => !preselected.includes(name)),
+    ];
+
+    list.innerHTML = '';
+    names.forEach(name => {
+      const field = this.availableFields.find(f => f.name === name);
+
+      const row = document.createElement('div');
+      row.className = 'column-row';
+
+      const label = document.createElement('label');
+      label.className = 'checkbox';
+      label.title = field && field.description ? field.description : name;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = name;
+      checkbox.checked = preselected.includes(name);
+
+      label.append(checkbox, field && field.label ? field.label : name);
+
+      const up = document.createElement('button');
+      up.className = 'secondary move-column';
+      up.dataset.direction = 'up';
+      up.textContent = '↑';
+      up.title = 'Move up';
+
+      const down = document.createElement('button');
+      down.className = 'secondary move-column';
+      down.dataset.direction = 'down';
+      down.textContent = '↓';
+      down.title = 'Move down';
+
+      row.append(label, up, down);
+      list.appendChild(row);
+    });
 
-      // Step 4: Create HuggingFace dataset and upload
-      await this.createAndUploadDataset();
+    group.style.display = names.length > 0 ? 'block' : 'none';
+  }
 
-      // Success!
-      this.updateStatus('success', `Dataset created successfully!`);
-      this.showDatasetLink();
+  moveField(row, direction) {
+    if (direction === 'up' && row.previousElementSibling) {
+      row.previousElementSibling.before(row);
+    } else if (direction === 'down' && row.nextElementSibling) {
+      row.nextElementSibling.after(row);
+    }
+  }
 
-    } catch (error) {
-      console.error('Export failed:', error);
-      this.handleError(error);
+  getSelectedFields() {
+    // List order is column order; nothing checked leaves the choice to the export service
+    const checkboxes = this.shadowRoot.querySelectorAll('#columns input[type="checkbox"]');
+    return [...checkboxes].filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+  }
+
+  parseSplits(value) {
+    // "80,10,10" -> train/validation/test percentages
+    if (!value) {
+      return null;
+    }
+
+    const percentages = value.split(',').map(part => parseFloat(part));
+    if (percentages.length !== SPLIT_NAMES.length || percentages.some(isNaN)) {
+      console.warn(`Ignoring invalid splits "${value}", expected e.g. "80,10,10"`);
+      return null;
     }
+    return percentages;
   }
 
-  async ensureAuthenticated() {
-    // Check if we already have a token
-    if (this.accessToken) {
-      try {
-        const user = await whoAmI({ credentials: { accessToken: this.accessToken } });
-        this.username = user.name;
-        this.updateStatus('authenticating', `Authenticated as ${this.username}`);
-        return;
-      } catch (error) {
-        // Token is invalid, need to re-authenticate
-        this.accessToken = null;
-      }
+  parseSeed(value) {
+    // 0 is a valid seed, so only a missing or unparseable one falls back to the default
+    const seed = parseInt(value);
+    return Number.isNaN(seed) ? 42 : seed;
+  }
+
+  getSplitOptions() {
+    const enabled = this.shadowRoot.getElementById('splits-enabled');
+    if (!enabled || !enabled.checked) {
+      return null;
+    }
+
+    const percentages = SPLIT_NAMES.map(name => parseFloat(this.shadowRoot.getElementById(`split-${name}`).value) || 0);
+    const total = percentages.reduce((sum, percentage) => sum + percentage, 0);
+
+    if (percentages.some(percentage => percentage < 0) || Math.abs(total - 100) > 0.01) {
+      throw new Error('Split percentages must add up to 100');
     }
+    if (percentages[0] === 0) {
+      throw new Error('The train split cannot be empty');
+    }
+
+    // Empty splits are left out rather than exported as empty files
+    const ratios = {};
+    SPLIT_NAMES.forEach((name, i) => {
+      if (percentages[i] > 0) {
+        ratios[name] = percentages[i] / 100;
+      }
+    });
 
-    // Start OAuth flow
-    await this.startOAuthFlow();
+    return {
+      ratios,
+      seed: parseInt(this.shadowRoot.getElementById('split-seed').value) || 0,
+      stratifyBy: this.shadowRoot.getElementById('split-stratify').value || null,
+    };
   }
 
-  async startOAuthFlow() {
-    this.updateStatus('authenticating', 'Opening HuggingFace login...');
+  applyConfigToForm() {
+    const splitsEnabled = this.shadowRoot.getElementById('splits-enabled');
+    if (splitsEnabled) {
+      const percentages = this.config.splits || [80, 10, 10];
+      splitsEnabled.checked = !!this.config.splits;
+      SPLIT_NAMES.forEach((name, i) => {
+        this.shadowRoot.getElementById(`split-${name}`).value = percentages[i];
+      });
+      this.shadowRoot.getElementById('split-seed').value = this.config.splitSeed;
+      this.shadowRoot.getElementById('split-stratify').value = this.config.splitStratify;
+      this.shadowRoot.getElementById('split-options').style.display = splitsEnabled.checked ? 'block' : 'none';
+    }
 
-    const scopes = this.config.oauthScopes;
-    const state = this.generateRandomState();
+    const formatsGroup = this.shadowRoot.getElementById('formats');
+    if (formatsGroup) {
+      formatsGroup.innerHTML = '';
+      Object.entries(EXPORT_FORMATS).forEach(([format, { label, path }]) => {
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.className = 'checkbox';
+        checkboxLabel.title = path;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = format;
+        checkbox.checked = this.config.formats.includes(format);
+
+        checkboxLabel.append(checkbox, label);
+        formatsGroup.appendChild(checkboxLabel);
+      });
+    }
 
-    console.log('OAuth: Requesting scopes:', scopes);
+    const namespaceSelect = this.shadowRoot.getElementById('namespace');
+    const privateCheckbox = this.shadowRoot.getElementById('private-repo');
 
-    // Store state for validation
-    this.oauthState = state;
+    if (namespaceSelect && this.config.defaultNamespace) {
+      namespaceSelect.innerHTML = '';
+      namespaceSelect.appendChild(this.createNamespaceOption(this.config.defaultNamespace, this.config.defaultNamespace));
+      namespaceSelect.value = this.config.defaultNamespace;
+    }
 
-    // Build OAuth URL
-    const authUrl = await oauthLoginUrl({
-      clientId: this.config.hfClientId,
-      redirectUrl: this.config.redirectUri,
-      scopes: scopes,  // Note: 'scopes' (plural) not 'scope'
-      state: state,
+    if (privateCheckbox) {
+      privateCheckbox.checked = this.config.private;
+    }
+
+    const reviewCheckbox = this.shadowRoot.getElementById('review-card');
+    if (reviewCheckbox) {
+      reviewCheckbox.checked = this.config.reviewCard;
+    }
+
+    const previewCheckbox = this.shadowRoot.getElementById('preview-data');
+    if (previewCheckbox) {
+      previewCheckbox.checked = this.config.previewData;
+    }
+
+    // In download mode nothing goes to the Hub, so its options are hidden
+    const downloadMode = this.config.mode === 'download';
+    this.shadowRoot.querySelectorAll('.upload-only').forEach(el => {
+      el.style.display = downloadMode ? 'none' : '';
     });
+    const exportBtn = this.shadowRoot.getElementById('export-btn');
+    if (exportBtn) {
+      exportBtn.textContent = downloadMode ? 'Export and download' : 'Export to HuggingFace';
+    }
+  }
 
-    console.log('OAuth: Authorization URL:', authUrl);
+  setupEventListeners() {
+    // Other exporters and tabs add to the same history, so refresh it whenever it's opened
+    const history = this.shadowRoot.getElementById('history');
+    if (history) {
+      history.addEventListener('toggle', () => {
+        if (history.open) {
+          this.renderHistory();
+        }
+      });
+    }
 
-    // Open popup window
-    const width = 600;
-    const height = 700;
-    const left = window.screenX + (window.outerWidth - width) / 2;
-    const top = window.screenY + (window.outerHeight - height) / 2;
+    const clearHistoryBtn = this.shadowRoot.getElementById('clear-history-btn');
+    if (clearHistoryBtn) {
+      clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+    }
 
-    this.oauthPopup = window.open(
-      authUrl,
-      'HuggingFace OAuth',
-      `width=${width},height=${height},left=${left},top=${top}`
-    );
+    const exportBtn = this.shadowRoot.getElementById('export-btn');
+    const cancelBtn = this.shadowRoot.getElementById('cancel-btn');
+    const resumeBtn = this.shadowRoot.getElementById('resume-btn');
+    const discardBtn = this.shadowRoot.getElementById('discard-btn');
+    const signOutBtn = this.shadowRoot.getElementById('sign-out-btn');
+    const datasetNameInput = this.shadowRoot.getElementById('dataset-name');
 
-    // Wait for OAuth callback
-    return new Promise((resolve, reject) => {
-      this.oauthResolve = resolve;
-      this.oauthReject = reject;
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.startExport());
+    }
 
-      // Set a timeout for OAuth flow (5 minutes)
-      const oauthTimeout = setTimeout(() => {
-        clearInterval(checkClosed);
-        if (!this.accessToken) {
-          console.error('OAuth timeout: User did not complete authorization within 5 minutes');
-          if (this.oauthPopup && !this.oauthPopup.closed) {
-            this.oauthPopup.close();
-          }
-          reject(new Error('OAuth timeout - please try again'));
+    const downloadBtn = this.shadowRoot.getElementById('download-btn');
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => this.startExport({ target: 'download' }));
+    }
+
+    const reexportBtn = this.shadowRoot.getElementById('reexport-btn');
+    if (reexportBtn) {
+      reexportBtn.addEventListener('click', () => {
+        const panel = this.shadowRoot.getElementById('reexport-panel');
+        panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+      });
+    }
+
+    const reexportLoad = this.shadowRoot.getElementById('reexport-load');
+    if (reexportLoad) {
+      reexportLoad.addEventListener('click', () => {
+        this.loadFromDataset(this.shadowRoot.getElementById('reexport-repo').value.trim());
+      });
+    }
+
+    const saveFilesBtn = this.shadowRoot.getElementById('save-files-btn');
+    if (saveFilesBtn) {
+      saveFilesBtn.addEventListener('click', () => this.saveFilesToFolder());
+    }
+
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.cancel());
+    }
+
+    const jobList = this.shadowRoot.getElementById('job-list');
+    if (jobList) {
+      jobList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('retry-job')) {
+          this.retryJob(parseInt(e.target.dataset.index));
         }
-      }, 5 * 60 * 1000); // 5 minutes
+      });
+    }
 
-      // Check if popup was closed without completing OAuth
-      const checkClosed = setInterval(() => {
-        if (this.oauthPopup && this.oauthPopup.closed) {
-          clearInterval(checkClosed);
-          clearTimeout(oauthTimeout);
+    if (resumeBtn) {
+      resumeBtn.addEventListener('click', () => this.resumeExport());
+    }
 
-          // Give a brief moment for localStorage to be set
-          setTimeout(() => {
-            // Check localStorage fallback if postMessage didn't work
-            const storedCallback = localStorage.getItem('hf_oauth_callback');
-            if (storedCallback) {
-              console.log('Main: Found OAuth callback in localStorage');
-              try {
-                const callbackData = JSON.parse(storedCallback);
-                localStorage.removeItem('hf_oauth_callback'); // Clean up
+    if (discardBtn) {
+      discardBtn.addEventListener('click', () => {
+        this.clearSavedExport();
+        this.hideResumeBanner();
+      });
+    }
 
-                // Process the callback data as if it came via postMessage
-                this.handleOAuthCallback({
-                  origin: window.location.origin,
-                  data: {
-                    code: callbackData.code,
-                    state: callbackData.state
-                  }
-                });
-              } catch (error) {
-                console.error('Failed to process localStorage callback:', error);
-                if (!this.accessToken) {
-                  reject(new Error('Authentication cancelled'));
-                }
-              }
-            } else if (!this.accessToken) {
-              reject(new Error('Authentication cancelled'));
-            }
-          }, 500); // Wait 500ms for localStorage to be set
+    if (signOutBtn) {
+      signOutBtn.addEventListener('click', () => this.signOut());
+    }
+
+    const previewPrev = this.shadowRoot.getElementById('preview-prev');
+    const previewNext = this.shadowRoot.getElementById('preview-next');
+    if (previewPrev && previewNext) {
+      previewPrev.addEventListener('click', () => this.renderPreviewPage(this.preview.page - 1));
+      previewNext.addEventListener('click', () => this.renderPreviewPage(this.preview.page + 1));
+    }
+
+    const previewAbort = this.shadowRoot.getElementById('preview-abort');
+    if (previewAbort) {
+      previewAbort.addEventListener('click', () => this.cancel());
+    }
+
+    const cardBody = this.shadowRoot.getElementById('card-body');
+    if (cardBody) {
+      cardBody.addEventListener('input', () => this.renderCardPreview());
+    }
+
+    const columns = this.shadowRoot.getElementById('columns');
+    if (columns) {
+      columns.addEventListener('click', (e) => {
+        if (e.target.classList.contains('move-column')) {
+          this.moveField(e.target.closest('.column-row'), e.target.dataset.direction);
         }
-      }, 1000);
-    });
+      });
+    }
+
+    const queryBuilder = this.shadowRoot.getElementById('query-builder');
+    if (queryBuilder) {
+      queryBuilder.addEventListener('input', () => this.scheduleHitCount());
+    }
+
+    const splitsEnabled = this.shadowRoot.getElementById('splits-enabled');
+    if (splitsEnabled) {
+      splitsEnabled.addEventListener('change', () => {
+        this.shadowRoot.getElementById('split-options').style.display = splitsEnabled.checked ? 'block' : 'none';
+      });
+    }
+
+    if (datasetNameInput) {
+      datasetNameInput.addEventListener('input', (e) => {
+        this.validateDatasetName(e.target.value);
+      });
+    }
   }
 
-  async handleOAuthCallback(event) {
-    // Ignore postMessages that aren't OAuth callbacks (e.g. from Angular, analytics, iframes)
-    if (!event.data || (!event.data.code && !event.data.error)) {
+  loadSourceQuery() {
+    const panel = this.shadowRoot.getElementById('query-builder');
+    this.sourceQuery = this.parseSourceQuery(this.getAttribute('source-api-url'));
+
+    if (!this.config.queryBuilder || !this.sourceQuery) {
+      panel.style.display = 'none';
       return;
     }
 
-    // Accept messages from same origin (for localhost development and production)
-    const redirectOrigin = new URL(this.config.redirectUri).origin;
-    const currentOrigin = window.location.origin;
-
-    // Debug logging to help troubleshoot origin issues
-    console.log('OAuth callback received:', {
-      messageOrigin: event.origin,
-      redirectOrigin: redirectOrigin,
-      currentOrigin: currentOrigin
+    this.shadowRoot.getElementById('query-text').value = this.sourceQuery.text;
+    this.shadowRoot.getElementById('query-fields').value = this.sourceQuery.fields.join(', ');
+    QUERY_FACETS.forEach(({ field }) => {
+      this.shadowRoot.getElementById(`facet-${field}`).value = this.sourceQuery.facets[field].join(', ');
+    });
+
+    panel.style.display = 'block';
+    this.refreshHitCount();
+  }
+
+  parseSourceQuery(sourceApiUrl) {
+    let url;
+    try {
+      url = new URL(sourceApiUrl);
+    } catch (error) {
+      return null;
+    }
+
+    const facets = Object.fromEntries(QUERY_FACETS.map(({ field }) => [field, []]));
+    const textClauses = [];
+
+    // Facet filters are ANDed onto the query as field:"value", or (field:"a" OR field:"b") for several values
+    this.splitQueryClauses(url.searchParams.get('query') || '').forEach(clause => {
+      const terms = clause.replace(/^\((.*)\)$/, '$1').split(/\s+OR\s+/).map(term => term.match(/^(\w+):"?([^"]*)"?$/));
+      const facet = terms.every(Boolean) && QUERY_FACETS.find(({ field }) => terms.every(term => term[1].toLowerCase() === field.toLowerCase()));
+
+      if (facet) {
+        facets[facet.field].push(...terms.map(term => term[2]));
+      } else {
+        textClauses.push(clause);
+      }
+    });
+
+    // getSourceApiUrl wraps the text in parentheses when facets are ANDed on; undo that so it doesn't nest on every round trip
+    const text = textClauses.length === 1 ? this.unwrapQueryGroup(textClauses[0]) : textClauses.join(' AND ');
+
+    return {
+      url,
+      text,
+      facets,
+      fields: this.parseList(url.searchParams.get('fields') || ''),
+    };
+  }
+
+  unwrapQueryGroup(clause) {
+    // Only when the opening parenthesis is closed by the last character, not e.g. (a) OR (b)
+    if (!clause.startsWith('(') || !clause.endsWith(')')) {
+      return clause;
+    }
+
+    let depth = 0;
+    let quoted = false;
+    for (let i = 0; i < clause.length; i++) {
+      const char = clause[i];
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && char === '(') {
+        depth++;
+      } else if (!quoted && char === ')') {
+        depth--;
+        if (depth === 0 && i < clause.length - 1) {
+          return clause;
+        }
+      }
+    }
+    return clause.slice(1, -1).trim();
+  }
+
+  splitQueryClauses(query) {
+    // Split on top-level ANDs only, leaving quoted values and parenthesised groups intact
+    const clauses = [];
+    let depth = 0;
+    let quoted = false;
+    let start = 0;
+
+    for (let i = 0; i < query.length; i++) {
+      const char = query[i];
+      const separator = !quoted && depth === 0 && query.slice(i).match(/^\s+AND\s+/);
+
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && char === '(') {
+        depth++;
+      } else if (!quoted && char === ')') {
+        depth--;
+      } else if (separator) {
+        clauses.push(query.slice(start, i));
+        start = i + separator[0].length;
+        i = start - 1;
+      }
+    }
+    clauses.push(query.slice(start));
+
+    return clauses.map(clause => clause.trim()).filter(Boolean);
+  }
+
+  parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  getSourceApiUrl() {
+    if (!this.config.queryBuilder || !this.sourceQuery) {
+      return this.getAttribute('source-api-url') || '';
+    }
+
+    // Rebuild the query from the panel; any other parameters on the original URL are kept as they were
+    const clauses = [];
+    const text = this.shadowRoot.getElementById('query-text').value.trim();
+    if (text) {
+      clauses.push(text);
+    }
+
+    QUERY_FACETS.forEach(({ field }) => {
+      const values = this.parseList(this.shadowRoot.getElementById(`facet-${field}`).value);
+      const terms = values.map(value => `${field}:"${value}"`);
+      if (terms.length === 1) {
+        clauses.push(terms[0]);
+      } else if (terms.length > 1) {
+        clauses.push(`(${terms.join(' OR ')})`);
+      }
+    });
+
+    if (clauses.length === 0) {
+      throw new Error('Please enter a search query or choose at least one facet');
+    }
+
+    // AND binds tighter than OR, so "a OR b" has to be grouped before facet filters are ANDed on
+    if (text && clauses.length > 1) {
+      clauses[0] = `(${text})`;
+    }
+
+    const url = new URL(this.sourceQuery.url);
+    url.searchParams.set('query', clauses.join(' AND '));
+
+    const fields = this.parseList(this.shadowRoot.getElementById('query-fields').value);
+    if (fields.length > 0) {
+      url.searchParams.set('fields', fields.join(','));
+    } else {
+      url.searchParams.delete('fields');
+    }
+
+    return url.toString();
+  }
+
+  scheduleHitCount() {
+    clearTimeout(this.hitCountTimer);
+    this.hitCountTimer = setTimeout(() => this.refreshHitCount(), HIT_COUNT_DEBOUNCE_MS);
+  }
+
+  async refreshHitCount() {
+    const hits = this.shadowRoot.getElementById('query-hits');
+
+    if (this.hitCountController) {
+      this.hitCountController.abort();
+    }
+
+    let backend;
+    let sourceApiUrl;
+    try {
+      backend = this.getBackend();
+      sourceApiUrl = this.getSourceApiUrl();
+    } catch (error) {
+      hits.textContent = error.message;
+      return;
+    }
+
+    if (!backend.countResults) {
+      hits.textContent = '';
+      return;
+    }
+
+    const controller = new AbortController();
+    this.hitCountController = controller;
+    hits.textContent = 'Counting results...';
+
+    try {
+      const count = await backend.countResults({ sourceApiUrl, signal: controller.signal });
+      hits.textContent = `${count.toLocaleString()} ${count === 1 ? 'result' : 'results'}`;
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // A newer count replaced this one
+        return;
+      }
+      console.warn('Could not count results:', error);
+      hits.textContent = 'Result count unavailable';
+    }
+  }
+
+  validateDatasetName(name) {
+    // HuggingFace dataset names must be lowercase alphanumeric with hyphens/underscores
+    const isValid = /^[a-z0-9-_]+$/.test(name);
+    const input = this.shadowRoot.getElementById('dataset-name');
+    const buttons = [this.shadowRoot.getElementById('export-btn'), this.shadowRoot.getElementById('download-btn')];
+
+    if (isValid || name === '') {
+      input.style.borderColor = '';
+      // Typing while an export runs must not re-enable the buttons; updateStatus enables them when it ends
+      buttons.forEach(btn => { btn.disabled = !name || this.isBusy(); });
+    } else {
+      input.style.borderColor = 'red';
+      buttons.forEach(btn => { btn.disabled = true; });
+    }
+
+    return isValid;
+  }
+
+  async startExport({ target, dryRun, historyId } = {}) {
+    // A second pipeline would take over abortController and jobs, leaving the first one uncancellable
+    if (this.isBusy()) {
+      return;
+    }
+
+    const datasetName = this.shadowRoot.getElementById('dataset-name').value.trim();
+
+    if (!datasetName) {
+      this.updateStatus('error', 'Please enter a dataset name');
+      return;
+    }
+
+    if (!this.validateDatasetName(datasetName)) {
+      this.updateStatus('error', 'Dataset name must be lowercase alphanumeric with hyphens or underscores');
+      return;
+    }
+
+    const formats = this.getSelectedFormats();
+    if (formats.length === 0) {
+      this.updateStatus('error', 'Please choose at least one export format');
+      return;
+    }
+
+    let splitOptions;
+    try {
+      splitOptions = this.getSplitOptions();
+    } catch (error) {
+      this.updateStatus('error', error.message);
+      return;
+    }
+
+    if (splitOptions && !formats.includes('parquet')) {
+      this.updateStatus('error', 'Splits are only produced for parquet; please select the parquet format');
+      return;
+    }
+
+    let sourceApiUrl;
+    try {
+      sourceApiUrl = this.getSourceApiUrl();
+    } catch (error) {
+      this.updateStatus('error', error.message);
+      return;
+    }
+
+    const fields = this.getSelectedFields();
+
+    this.datasetName = datasetName;
+    this.sourceApiUrl = sourceApiUrl;
+    this.formats = formats;
+    this.fields = fields.length > 0 ? fields : null;
+    this.splitOptions = splitOptions;
+    this.jobs = [];
+    this.target = target || this.config.mode;
+
+    // A dry run only makes sense for the Hub; downloads have nothing to preview
+    const dryRunChecked = this.shadowRoot.getElementById('dry-run').checked;
+    this.dryRun = this.target === 'upload' && (dryRun !== undefined ? !!dryRun : dryRunChecked);
+
+    this.hideResumeBanner();
+    await this.runExport({ historyId });
+  }
+
+  async resumeExport(saved = this.loadSavedExport()) {
+    if (this.isBusy()) {
+      return;
+    }
+
+    this.hideResumeBanner();
+
+    if (!saved) {
+      return;
+    }
+
+    // Put the form back the way it was when the export started
+    this.shadowRoot.getElementById('dataset-name').value = saved.datasetName;
+    this.selectNamespace(saved.namespace);
+    this.shadowRoot.getElementById('private-repo').checked = saved.private;
+
+    this.shadowRoot.querySelectorAll('#formats input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = saved.formats.includes(checkbox.value);
+    });
+
+    this.datasetName = saved.datasetName;
+    this.sourceApiUrl = saved.sourceApiUrl;
+    this.formats = saved.formats;
+    this.fields = saved.fields || null;
+    this.splitOptions = saved.splitOptions || null;
+    this.jobs = saved.jobs;
+    this.target = saved.target || 'upload';
+    this.dryRun = false;
+
+    await this.runExport({ resumeFrom: saved.step, historyId: saved.historyId });
+  }
+
+  selectNamespace(namespace) {
+    const namespaceSelect = this.shadowRoot.getElementById('namespace');
+    if (namespace && namespaceSelect) {
+      if (![...namespaceSelect.options].some(option => option.value === namespace)) {
+        namespaceSelect.appendChild(this.createNamespaceOption(namespace, namespace));
+      }
+      namespaceSelect.value = namespace;
+    }
+  }
+
+  async loadFromDataset(repoName) {
+    const message = this.shadowRoot.getElementById('reexport-message');
+
+    if (this.isBusy()) {
+      return null;
+    }
+    if (!/^[\w.-]+\/[\w.-]+$/.test(repoName)) {
+      message.textContent = 'Enter the dataset as owner/name';
+      return null;
+    }
+
+    message.textContent = `Reading ${PROVENANCE_PATH} from ${repoName}...`;
+
+    // Signing in may wait on the user; cancel() stops that like it stops an export
+    this.abortController = new AbortController();
+    this.loadingDataset = repoName;
+
+    try {
+      const provenance = await this.fetchProvenance(repoName);
+      this.applyProvenance(repoName, provenance);
+      message.textContent = `Loaded the export settings from ${repoName}. Check them, then export again to update it.`;
+      this.emit('provenance-loaded', { repo: repoName, provenance });
+      return provenance;
+    } catch (error) {
+      console.warn(`Could not load ${PROVENANCE_PATH} from ${repoName}:`, error);
+      message.textContent = error.message;
+      return null;
+    } finally {
+      this.loadingDataset = null;
+      // Signing in for a private dataset leaves the status at "authenticated"
+      if (this.exportStatus === 'authenticating') {
+        this.updateStatus('idle', '');
+      }
+    }
+  }
+
+  async fetchProvenance(repoName) {
+    const repo = { type: 'dataset', name: repoName };
+    const read = () => downloadFile({
+      repo,
+      path: PROVENANCE_PATH,
+      credentials: this.accessToken ? { accessToken: this.accessToken } : undefined,
+      hubUrl: this.config.hubUrl,
+      fetch: networkFetch,
+    });
+
+    // null means the dataset is readable but has no manifest; only a 401 (private or unknown dataset) calls for signing in
+    let response;
+    try {
+      response = await read();
+    } catch (error) {
+      if (this.accessToken || error.statusCode !== 401) throw error;
+
+      await this.ensureAuthenticated();
+      response = await read();
+    }
+
+    if (!response) {
+      throw new Error(`${repoName} has no ${PROVENANCE_PATH}, so its export can't be repeated`);
+    }
+
+    const provenance = await response.json();
+    if (!provenance.source_api_url) {
+      throw new Error(`${PROVENANCE_PATH} in ${repoName} doesn't record the source query`);
+    }
+    return provenance;
+  }
+
+  applyProvenance(repoName, provenance) {
+    const [namespace, name] = repoName.split('/');
+
+    // Fill the form in as if these had been the attributes, then point it at the same dataset
+    this.applyExportOptions(provenance.options || {});
+
+    // attributeChangedCallback reloads the query builder from this
+    this.setAttribute('source-api-url', provenance.source_api_url);
+
+    this.shadowRoot.getElementById('dataset-name').value = name;
+    this.validateDatasetName(name);
+    this.selectNamespace(namespace);
+  }
+
+  applyExportOptions(options) {
+    const splits = options.splits;
+
+    Object.assign(this.config, {
+      formats: (options.formats || ['parquet']).filter(format => EXPORT_FORMATS[format]),
+      fields: options.fields || [],
+      splits: splits ? SPLIT_NAMES.map(split => Math.round((splits.ratios[split] || 0) * 100)) : null,
+      splitSeed: splits ? splits.seed : this.config.splitSeed,
+      splitStratify: splits ? splits.stratifyBy || '' : '',
+    });
+    this.applyConfigToForm();
+    this.renderFieldList();
+  }
+
+  async runExport({ resumeFrom = null, historyId = null } = {}) {
+    this.resumeFrom = resumeFrom;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    this.datasetCard = null;
+    this.uploadChoice = null;
+    this.uploadResult = null;
+    this.datasetUrl = null;
+    this.resultMessage = null;
+    this.verification = null;
+    this.rowCount = undefined;
+    this.stopViewerWatch();
+    this.resetStages();
+
+    this.emit('export-start', {
+      datasetName: this.datasetName,
+      namespace: this.getTargetNamespace() || null,
+      sourceApiUrl: this.sourceApiUrl,
+      mode: this.target,
+      dryRun: this.dryRun,
+      resumedFrom: resumeFrom,
+    });
+
+    // A dry run publishes nothing, so there's nothing to look back on. An export resumed after a reload
+    // or a redirect login carries on the entry it started before, rather than adding another
+    this.historyId = null;
+    if (!this.dryRun && !(historyId && this.reopenHistoryEntry(historyId))) {
+      this.startHistoryEntry();
+    }
+
+    const pipeline = this.dryRun ? PIPELINE_STEPS.dryRun : PIPELINE_STEPS[this.target];
+    this.pipeline = pipeline;
+
+    // A resumed upload signs in again, then carries on from where it was saved
+    let steps = pipeline;
+    if (resumeFrom) {
+      const resumeStep = RESUME_STEPS[resumeFrom].find(step => pipeline.includes(step));
+      steps = pipeline.slice(pipeline.indexOf(resumeStep));
+      if (pipeline.includes('authenticate')) {
+        steps = ['authenticate', ...steps];
+      }
+    }
+
+    try {
+      for (const step of steps) {
+        this.step = step;
+        await this.runStepWithRetries(step);
+        this.throwIfCancelled();
+      }
+
+      // Success, unless verification found something wrong with what was published
+      this.step = null;
+      if (this.verification && !this.verification.ok) {
+        this.updateStatus('warning', `${this.resultMessage} However, some checks on the published files failed; see below.`);
+        this.finishHistoryEntry('warning');
+      } else {
+        this.updateStatus('success', this.resultMessage);
+        this.finishHistoryEntry('success');
+      }
+      this.showDatasetLink();
+
+    } catch (error) {
+      if (signal.aborted) {
+        // cancel() has already put the UI back to idle
+        return;
+      }
+      console.error('Export failed:', error);
+      this.handleError(error);
+    }
+  }
+
+  async runStep(step) {
+    switch (step) {
+      case 'authenticate':
+        await this.ensureAuthenticated();
+        this.emit('auth-complete', { username: this.username });
+        break;
+
+      case 'preflight':
+        // Check the target and the query, and let the user confirm, before any server work starts
+        await this.runPreflightChecks();
+        break;
+
+      case 'submit':
+        await this.submitExportJob();
+        this.emit('job-submitted', {
+          jobs: this.jobs.map(({ dataType, taskId }) => ({ dataType, taskId })),
+        });
+        this.saveExportState('polling');
+        break;
+
+      case 'poll':
+        await this.pollExportStatus();
+        this.saveExportState('uploading');
+        break;
+
+      case 'preview':
+        // Optional: look at the exported rows before they're published
+        if (this.shadowRoot.getElementById('preview-data').checked && this.jobs.some(job => job.format === 'parquet')) {
+          await this.previewParquet();
+        }
+        break;
+
+      case 'review':
+        // Optional: let the user edit the generated dataset card
+        if (this.shadowRoot.getElementById('review-card').checked) {
+          await this.reviewDatasetCard();
+        }
+        break;
+
+      case 'upload':
+        await this.createAndUploadDataset();
+        this.resultMessage = this.uploadResult.message;
+        this.clearSavedExport();
+        break;
+
+      case 'verify':
+        await this.verifyUpload();
+        break;
+
+      case 'download':
+        await this.offerDownloads();
+        this.clearSavedExport();
+        break;
+
+      case 'plan':
+        await this.showUploadPlan();
+        break;
+
+      default:
+        throw new Error(`Unknown export step "${step}"`);
+    }
+  }
+
+  async runStepWithRetries(step) {
+    const policy = this.getRetryPolicy(step);
+    const { signal } = this.abortController;
+    let reauthenticate = false;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (reauthenticate) {
+          // The token expired or was revoked mid-export: refresh it, or sign in again, before retrying
+          reauthenticate = false;
+          await this.refreshSession();
+          await this.ensureAuthenticated();
+        }
+        return await this.runStep(step);
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
+
+        const kind = this.classifyError(error);
+        Object.assign(error, { step, kind, attempts: attempt });
+
+        if (kind === 'permanent' || attempt >= policy.maxAttempts) {
+          throw error;
+        }
+
+        const delayMs = this.getRetryDelay(policy, attempt, error);
+        reauthenticate = kind === 'auth';
+
+        console.warn(`Export step "${step}" failed (${kind}), retrying:`, error);
+        this.updateStatus('retrying', `${error.message}. Retrying in ${this.formatDuration(delayMs / 1000)} (attempt ${attempt + 1} of ${policy.maxAttempts})...`);
+        this.emit('export-retry', {
+          step,
+          kind,
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts,
+          delayMs,
+          message: error.message,
+        });
+
+        await this.sleep(delayMs, signal);
+      }
+    }
+  }
+
+  getRetryPolicy(step) {
+    return { ...DEFAULT_RETRY_POLICIES[step], ...this.retryPolicyOverrides[step] };
+  }
+
+  classifyError(error) {
+    if (error.permanent) {
+      return 'permanent';
+    }
+
+    // Our own HTTP errors carry `status`; @huggingface/hub's HubApiError carries `statusCode`
+    const status = error.status || error.statusCode;
+    if (status === 401) {
+      // Only the Hub's 401s mean our HuggingFace token is stale, and only pipelines that sign in can fix that;
+      // a 401 from the export service is not something signing in again would solve
+      const fromHub = error instanceof HubApiError || error.hub;
+      const signsIn = !this.pipeline || this.pipeline.includes('authenticate');
+      return fromHub && signsIn ? 'auth' : 'permanent';
+    }
+    if (status === 429) {
+      return 'rate-limited';
+    }
+    if (status === 408 || status >= 500) {
+      return 'transient';
+    }
+    if (status) {
+      return 'permanent';
+    }
+
+    // Only failed requests are worth retrying; any other TypeError is a bug that would fail the same way again
+    return error.network ? 'transient' : 'permanent';
+  }
+
+  getRetryDelay(policy, attempt, error) {
+    if (error.kind === 'auth') {
+      // Nothing to wait for; the retry starts by refreshing the token
+      return 0;
+    }
+
+    const backoff = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+
+    // A server that says when to come back knows better than our backoff
+    if (error.kind === 'rate-limited' && error.retryAfterMs !== undefined) {
+      return Math.max(error.retryAfterMs, backoff);
+    }
+    return backoff;
+  }
+
+  getStorageScope() {
+    // Scoped per element so several exporters on one page don't resume each other's jobs.
+    // Not the query URL: that changes at runtime, and the key has to survive a reload
+    return this.id || 'default';
+  }
+
+  getSavedExportKey() {
+    return `hf_export_state:${this.getStorageScope()}`;
+  }
+
+  saveExportState(step) {
+    const state = {
+      step,
+      formats: this.formats,
+      fields: this.fields,
+      splitOptions: this.splitOptions,
+      jobs: this.jobs,
+      datasetName: this.datasetName,
+      namespace: this.getTargetNamespace() || null,
+      private: this.isPrivateRepo(),
+      sourceApiUrl: this.sourceApiUrl,
+      target: this.target,
+      historyId: this.historyId,
+      savedAt: Date.now(),
+    };
+
+    try {
+      localStorage.setItem(this.getSavedExportKey(), JSON.stringify(state));
+    } catch (error) {
+      // Storage may be full or disabled; resuming is a convenience, not a requirement
+      console.warn('Could not save export state:', error);
+    }
+  }
+
+  loadSavedExport() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.getSavedExportKey()));
+    } catch (error) {
+      saved = null;
+    }
+
+    if (!saved || !saved.step || !Array.isArray(saved.jobs) || saved.jobs.length === 0) {
+      return null;
+    }
+
+    if (Date.now() - saved.savedAt > SAVED_EXPORT_TTL_MS) {
+      this.clearSavedExport();
+      return null;
+    }
+
+    return saved;
+  }
+
+  clearSavedExport() {
+    try {
+      localStorage.removeItem(this.getSavedExportKey());
+    } catch (error) {
+      // Nothing to clean up if storage is unavailable
+    }
+  }
+
+  checkForSavedExport() {
+    const saved = this.loadSavedExport();
+    const banner = this.shadowRoot.getElementById('resume-banner');
+
+    if (!saved || !banner || this.isBusy()) {
+      return;
+    }
+
+    const readyText = saved.target === 'download' ? 'ready to download' : 'ready to upload';
+    const stepText = saved.step === 'uploading' ? readyText : 'still exporting';
+    this.shadowRoot.getElementById('resume-message').textContent =
+      `An unfinished export "${saved.datasetName}" (${stepText}) was found.`;
+    banner.style.display = 'block';
+  }
+
+  hideResumeBanner() {
+    const banner = this.shadowRoot.getElementById('resume-banner');
+    if (banner) {
+      banner.style.display = 'none';
+    }
+  }
+
+  async ensureAuthenticated() {
+    // Another exporter on the page may already be signing in or refreshing; reuse its result
+    const pendingSessionTask = pendingSessionTasks.get(this.getSessionKey());
+    if (pendingSessionTask) {
+      try {
+        await pendingSessionTask;
+      } catch (error) {
+        // That exporter reports its own failure; we fall through and try ourselves
+      }
+    }
+    if (!this.accessToken) {
+      this.adoptSession();
+    }
+
+    if (this.accessToken && this.isTokenExpiring()) {
+      await this.refreshSession();
+    }
+
+    // Check if we already have a token
+    if (this.accessToken) {
+      try {
+        const user = await whoAmI({ credentials: { accessToken: this.accessToken }, hubUrl: this.config.hubUrl, fetch: networkFetch });
+        this.username = user.name;
+        this.populateNamespaces(user);
+        this.updateStatus('authenticating', `Authenticated as ${this.username}`);
+        return;
+      } catch (error) {
+        // Token is invalid, need to re-authenticate
+        this.clearSession();
+      }
+    }
+
+    // Start OAuth flow, or ask for a token where there's no OAuth app
+    await this.runSessionTask(() => (this.config.authMode === 'token' ? this.requestAccessToken() : this.startOAuthFlow()));
+  }
+
+  requestAccessToken() {
+    const panel = this.shadowRoot.getElementById('token-login');
+    const input = this.shadowRoot.getElementById('hf-token');
+    const rememberCheckbox = this.shadowRoot.getElementById('remember-token');
+    const submitBtn = this.shadowRoot.getElementById('token-submit');
+    const message = this.shadowRoot.getElementById('token-message');
+    const { signal } = this.abortController;
+
+    this.updateStatus('authenticating', 'Enter a HuggingFace access token to continue');
+    message.textContent = '';
+    panel.style.display = 'block';
+    input.focus();
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        panel.style.display = 'none';
+        input.value = '';
+        submitBtn.disabled = false;
+        submitBtn.removeEventListener('click', onSubmit);
+        input.removeEventListener('keydown', onKeydown);
+        signal.removeEventListener('abort', onAbort);
+      };
+
+      const onSubmit = async () => {
+        const token = input.value.trim();
+        if (!token) {
+          message.textContent = 'Paste a token first';
+          return;
+        }
+
+        submitBtn.disabled = true;
+        message.textContent = 'Checking the token...';
+
+        let user;
+        try {
+          user = await whoAmI({ credentials: { accessToken: token }, hubUrl: this.config.hubUrl, fetch: networkFetch });
+        } catch (error) {
+          // A bad token is the user's to fix, so keep the panel open rather than failing the export
+          submitBtn.disabled = false;
+          message.textContent = error.statusCode === 401
+            ? 'HuggingFace did not accept this token. Check that it was copied in full and has not been revoked.'
+            : `Could not check the token: ${error.message}`;
+          return;
+        }
+
+        if (signal.aborted) {
+          return;
+        }
+
+        this.username = user.name;
+        this.populateNamespaces(user);
+        this.saveSession({ access_token: token }, user.name, { persist: rememberCheckbox.checked });
+        this.updateStatus('authenticating', `Authenticated as ${this.username}`);
+
+        finish();
+        resolve();
+      };
+
+      const onKeydown = (event) => {
+        if (event.key === 'Enter') {
+          onSubmit();
+        }
+      };
+
+      const onAbort = () => {
+        finish();
+        reject(this.createCancelError());
+      };
+
+      submitBtn.addEventListener('click', onSubmit);
+      input.addEventListener('keydown', onKeydown);
+      signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  async runSessionTask(task) {
+    const key = this.getSessionKey();
+    const pendingSessionTask = task();
+    pendingSessionTasks.set(key, pendingSessionTask);
+    try {
+      return await pendingSessionTask;
+    } finally {
+      pendingSessionTasks.delete(key);
+    }
+  }
+
+  getSessionKey() {
+    // One session per Hub and OAuth app, shared by every exporter using both; pasted tokens get their own.
+    // The Hub is part of the key so a mirror's token is never sent to huggingface.co, or the reverse
+    return `hf_session:${this.config.hubUrl}:${this.config.authMode === 'token' ? 'token' : this.config.hfClientId}`;
+  }
+
+  loadSession() {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(this.getSessionKey()));
+      if (session && session.accessToken && (!session.expiresAt || session.expiresAt > Date.now())) {
+        return session;
+      }
+    } catch (error) {
+      // Corrupt or unavailable storage is treated as signed out
+    }
+    return null;
+  }
+
+  saveSession(tokenData, username, { persist = true } = {}) {
+    const session = {
+      accessToken: tokenData.access_token,
+      // Refresh responses may omit the refresh token; keep the previous one in that case
+      refreshToken: tokenData.refresh_token || this.refreshToken || null,
+      expiresAt: tokenData.expires_in ? Date.now() + tokenData.expires_in * 1000 : null,
+      username,
+    };
+
+    // A pasted token stays in this element's memory unless the user asked for it to be remembered
+    this.memoryOnlySession = !persist;
+    if (!persist) {
+      this.applySession(session);
+      return;
+    }
+
+    try {
+      sessionStorage.setItem(this.getSessionKey(), JSON.stringify(session));
+    } catch (error) {
+      console.warn('Could not store HuggingFace session:', error);
+    }
+
+    this.applySession(session);
+    window.dispatchEvent(new CustomEvent(SESSION_CHANGE_EVENT, { detail: { source: this } }));
+  }
+
+  clearSession() {
+    this.memoryOnlySession = false;
+    try {
+      sessionStorage.removeItem(this.getSessionKey());
+    } catch (error) {
+      // Nothing stored
+    }
+
+    this.applySession(null);
+    window.dispatchEvent(new CustomEvent(SESSION_CHANGE_EVENT, { detail: { source: this } }));
+  }
+
+  adoptSession() {
+    // Nothing stored can replace a token that was deliberately kept out of storage
+    if (this.memoryOnlySession) {
+      return;
+    }
+    this.applySession(this.loadSession());
+  }
+
+  applySession(session) {
+    this.accessToken = session ? session.accessToken : null;
+    this.refreshToken = session ? session.refreshToken : null;
+    this.tokenExpiresAt = session ? session.expiresAt : null;
+    if (session) {
+      this.username = session.username;
+    }
+
+    this.scheduleTokenRefresh();
+    this.updateSessionInfo();
+  }
+
+  isTokenExpiring() {
+    return !!this.tokenExpiresAt && this.tokenExpiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS;
+  }
+
+  scheduleTokenRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (!this.accessToken || !this.tokenExpiresAt || !this.isConnected) {
+      return;
+    }
+
+    if (this.refreshToken) {
+      const delay = Math.max(0, this.tokenExpiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS);
+      this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+    } else {
+      // Can't refresh silently: keep using the token until it actually expires, then sign out
+      const delay = Math.max(0, this.tokenExpiresAt - Date.now());
+      this.refreshTimer = setTimeout(() => this.clearSession(), delay);
+    }
+  }
+
+  async refreshSession() {
+    const pendingSessionTask = pendingSessionTasks.get(this.getSessionKey());
+    if (pendingSessionTask) {
+      // Another exporter is already refreshing; it broadcasts the new token when done
+      await pendingSessionTask.catch(() => {});
+      this.adoptSession();
+      return;
+    }
+
+    if (!this.refreshToken) {
+      // No way to refresh silently; ensureAuthenticated opens the login popup again
+      this.clearSession();
+      return;
+    }
+
+    try {
+      await this.runSessionTask(async () => {
+        const tokenData = await this.requestToken({
+          grant_type: 'refresh_token',
+          refresh_token: this.refreshToken,
+          client_id: this.config.hfClientId,
+        });
+        this.saveSession(tokenData, this.username);
+      });
+    } catch (error) {
+      console.warn('Token refresh failed, signing out:', error);
+      this.clearSession();
+    }
+  }
+
+  signOut() {
+    if (this.isBusy()) {
+      return false;
+    }
+
+    this.clearSession();
+    this.username = null;
+    this.updateSessionInfo();
+
+    // Leftovers from an interrupted OAuth flow
+    localStorage.removeItem('hf_oauth_callback');
+    localStorage.removeItem('huggingface.co:oauth:code_verifier');
+    localStorage.removeItem('huggingface.co:oauth:nonce');
+    localStorage.removeItem(this.getPendingLoginKey());
+    return true;
+  }
+
+  updateSessionInfo() {
+    const sessionInfo = this.shadowRoot.getElementById('session-info');
+    const signOutBtn = this.shadowRoot.getElementById('sign-out-btn');
+    if (!sessionInfo) return;
+
+    if (this.accessToken && this.username) {
+      this.shadowRoot.getElementById('session-user').textContent = `Signed in as ${this.username}`;
+      sessionInfo.style.display = 'flex';
+    } else {
+      sessionInfo.style.display = 'none';
+    }
+
+    if (signOutBtn) {
+      signOutBtn.disabled = this.isBusy();
+    }
+  }
+
+  async startOAuthFlow() {
+    if (this.config.loginMode === 'redirect') {
+      return this.startRedirectLogin();
+    }
+
+    this.updateStatus('authenticating', 'Opening HuggingFace login...');
+
+    const scopes = this.config.oauthScopes;
+    const state = this.generateRandomState();
+
+    console.log('OAuth: Requesting scopes:', scopes);
+
+    // Store state for validation
+    this.oauthState = state;
+
+    // Build OAuth URL (this reads the Hub's OpenID configuration, with no way to pass our own fetch)
+    const authUrl = await oauthLoginUrl({
+      clientId: this.config.hfClientId,
+      redirectUrl: this.config.redirectUri,
+      scopes: scopes,  // Note: 'scopes' (plural) not 'scope'
+      state: state,
+      hubUrl: this.config.hubUrl,
+    }).catch(error => { throw markNetworkError(error); });
+
+    console.log('OAuth: Authorization URL:', authUrl);
+
+    this.oauthPopup = this.openLoginPopup(authUrl);
+
+    // Popup blockers return no window (or one that's already closed)
+    if (!this.oauthPopup || this.oauthPopup.closed) {
+      const choice = await this.offerRedirectLogin();
+      if (choice === 'redirect') {
+        this.config.loginMode = 'redirect';
+        return this.startRedirectLogin();
+      }
+
+      this.oauthPopup = this.openLoginPopup(authUrl);
+      if (!this.oauthPopup || this.oauthPopup.closed) {
+        throw this.createPermanentError('The HuggingFace login pop-up was blocked again. Allow pop-ups for this site, or sign in on this page instead.');
+      }
+      this.updateStatus('authenticating', 'Waiting for HuggingFace login...');
+    }
+
+    // Wait for OAuth callback
+    return new Promise((resolve, reject) => {
+      this.oauthResolve = resolve;
+      this.oauthReject = reject;
+
+      // Set a timeout for OAuth flow (5 minutes)
+      const oauthTimeout = setTimeout(() => {
+        clearInterval(checkClosed);
+        if (!this.accessToken) {
+          console.error('OAuth timeout: User did not complete authorization within 5 minutes');
+          if (this.oauthPopup && !this.oauthPopup.closed) {
+            this.oauthPopup.close();
+          }
+          reject(new Error('OAuth timeout - please try again'));
+        }
+      }, 5 * 60 * 1000); // 5 minutes
+
+      // Check if popup was closed without completing OAuth
+      const checkClosed = setInterval(() => {
+        if (this.oauthPopup && this.oauthPopup.closed) {
+          clearInterval(checkClosed);
+          clearTimeout(oauthTimeout);
+
+          // Give a brief moment for localStorage to be set
+          setTimeout(() => {
+            // Check localStorage fallback if postMessage didn't work
+            const storedCallback = localStorage.getItem('hf_oauth_callback');
+            if (storedCallback) {
+              console.log('Main: Found OAuth callback in localStorage');
+              try {
+                const callbackData = JSON.parse(storedCallback);
+                localStorage.removeItem('hf_oauth_callback'); // Clean up
+
+                // Process the callback data as if it came via postMessage
+                this.handleOAuthCallback({
+                  origin: window.location.origin,
+                  data: {
+                    code: callbackData.code,
+                    state: callbackData.state
+                  }
+                });
+              } catch (error) {
+                console.error('Failed to process localStorage callback:', error);
+                if (!this.accessToken) {
+                  reject(new Error('Authentication cancelled'));
+                }
+              }
+            } else if (!this.accessToken) {
+              reject(new Error('Authentication cancelled'));
+            }
+          }, 500); // Wait 500ms for localStorage to be set
+        }
+      }, 1000);
+    });
+  }
+
+  openLoginPopup(authUrl) {
+    const width = 600;
+    const height = 700;
+    const left = window.screenX + (window.outerWidth - width) / 2;
+    const top = window.screenY + (window.outerHeight - height) / 2;
+
+    return window.open(
+      authUrl,
+      'HuggingFace OAuth',
+      `width=${width},height=${height},left=${left},top=${top}`
+    );
+  }
+
+  offerRedirectLogin() {
+    const panel = this.shadowRoot.getElementById('popup-blocked');
+    const retryBtn = this.shadowRoot.getElementById('popup-retry');
+    const redirectBtn = this.shadowRoot.getElementById('login-redirect');
+    const { signal } = this.abortController;
+
+    this.updateStatus('authenticating', 'The HuggingFace login pop-up was blocked');
+    panel.style.display = 'block';
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        panel.style.display = 'none';
+        retryBtn.removeEventListener('click', onRetry);
+        redirectBtn.removeEventListener('click', onRedirect);
+        signal.removeEventListener('abort', onAbort);
+      };
+
+      // Resolving straight from the click keeps the user activation the retried window.open needs
+      const onRetry = () => {
+        finish();
+        resolve('popup');
+      };
+
+      const onRedirect = () => {
+        finish();
+        resolve('redirect');
+      };
+
+      const onAbort = () => {
+        finish();
+        reject(this.createCancelError());
+      };
+
+      retryBtn.addEventListener('click', onRetry);
+      redirectBtn.addEventListener('click', onRedirect);
+      signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  getPendingLoginKey() {
+    return `hf_oauth_redirect:${this.getStorageScope()}`;
+  }
+
+  async startRedirectLogin() {
+    this.updateStatus('authenticating', 'Redirecting to HuggingFace login...');
+
+    const state = this.generateRandomState();
+    const authUrl = await oauthLoginUrl({
+      clientId: this.config.hfClientId,
+      redirectUrl: this.config.loginRedirectUri,
+      scopes: this.config.oauthScopes,
+      state,
+      hubUrl: this.config.hubUrl,
+    }).catch(error => { throw markNetworkError(error); });
+
+    // Everything needed to finish the login, and carry on, once HuggingFace sends the browser back here
+    const pending = {
+      state,
+      redirectUri: this.config.loginRedirectUri,
+      resume: this.getLoginResumeState(),
+      savedAt: Date.now(),
+    };
+
+    try {
+      localStorage.setItem(this.getPendingLoginKey(), JSON.stringify(pending));
+    } catch (error) {
+      throw this.createPermanentError('Signing in on this page needs localStorage, which is unavailable');
+    }
+
+    window.location.assign(authUrl);
+
+    // The page is unloading; only a cancel before it does should end this step
+    const { signal } = this.abortController;
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(this.createCancelError()), { once: true });
+    });
+  }
+
+  getLoginResumeState() {
+    if (this.loadingDataset) {
+      return { loadDataset: this.loadingDataset };
+    }
+
+    // Sign-ins later in the pipeline (an expired token) are picked up by the saved export instead
+    if (this.step !== 'authenticate') {
+      return null;
+    }
+
+    // A resumed export carries its submitted jobs across the login, so they aren't submitted again
+    const savedExport = this.resumeFrom ? this.loadSavedExport() : null;
+    if (savedExport) {
+      return { savedExport };
+    }
+
+    return {
+      export: {
+        datasetName: this.datasetName,
+        namespace: this.getTargetNamespace() || null,
+        private: this.isPrivateRepo(),
+        sourceApiUrl: this.sourceApiUrl,
+        target: this.target,
+        dryRun: this.dryRun,
+        previewData: this.shadowRoot.getElementById('preview-data').checked,
+        reviewCard: this.shadowRoot.getElementById('review-card').checked,
+        options: { formats: this.formats, fields: this.fields, splits: this.splitOptions },
+        historyId: this.historyId,
+      },
+    };
+  }
+
+  async completeRedirectLogin() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('code') && !params.has('error')) {
+      return;
+    }
+
+    let pending;
+    try {
+      pending = JSON.parse(localStorage.getItem(this.getPendingLoginKey()));
+    } catch (error) {
+      pending = null;
+    }
+    if (!pending) {
+      return;
+    }
+
+    // oauthLoginUrl wraps our state in JSON; a mismatch is another exporter's login
+    let state = params.get('state');
+    try {
+      state = JSON.parse(state).state;
+    } catch (error) {
+      // Plain state
+    }
+    if (state !== pending.state) {
+      return;
+    }
+
+    // The code is single-use: forget the login and take it out of the address bar so a reload doesn't replay it
+    localStorage.removeItem(this.getPendingLoginKey());
+    const url = new URL(window.location.href);
+    ['code', 'state', 'error', 'error_description'].forEach(param => url.searchParams.delete(param));
+    window.history.replaceState(window.history.state, '', url);
+
+    if (params.has('error')) {
+      this.updateStatus('error', `HuggingFace login failed: ${params.get('error_description') || params.get('error')}`);
+      return;
+    }
+
+    this.updateStatus('authenticating', 'Completing HuggingFace login...');
+
+    try {
+      await this.runSessionTask(async () => {
+        const tokenResponse = await this.exchangeCodeForToken(params.get('code'), pending.redirectUri);
+        await this.finishLogin(tokenResponse);
+      });
+    } catch (error) {
+      console.error('Redirect login failed:', error);
+      this.updateStatus('error', `HuggingFace login failed: ${error.message}`);
+      return;
+    }
+
+    // Signed in; what comes next starts from idle like any other export
+    this.updateStatus('idle', '');
+
+    const resume = pending.resume || {};
+    if (resume.savedExport) {
+      await this.resumeExport(resume.savedExport);
+    } else if (resume.export) {
+      this.restoreExportSettings(resume.export);
+      await this.startExport({
+        target: resume.export.target,
+        dryRun: resume.export.dryRun,
+        historyId: resume.export.historyId,
+      });
+    } else if (resume.loadDataset) {
+      this.shadowRoot.getElementById('reexport-panel').style.display = 'block';
+      this.shadowRoot.getElementById('reexport-repo').value = resume.loadDataset;
+      await this.loadFromDataset(resume.loadDataset);
+    }
+  }
+
+  restoreExportSettings(settings) {
+    this.applyExportOptions(settings.options || {});
+    if (settings.sourceApiUrl) {
+      this.setAttribute('source-api-url', settings.sourceApiUrl);
+    }
+
+    this.shadowRoot.getElementById('dataset-name').value = settings.datasetName;
+    this.validateDatasetName(settings.datasetName);
+    this.selectNamespace(settings.namespace);
+    this.shadowRoot.getElementById('private-repo').checked = settings.private;
+    this.shadowRoot.getElementById('preview-data').checked = settings.previewData;
+    this.shadowRoot.getElementById('review-card').checked = settings.reviewCard;
+  }
+
+  async finishLogin(tokenResponse) {
+    // Get user info
+    const user = await whoAmI({ credentials: { accessToken: tokenResponse.access_token }, hubUrl: this.config.hubUrl, fetch: networkFetch });
+    this.username = user.name;
+    this.populateNamespaces(user);
+
+    // Keep the session so a reload, or another exporter on the page, doesn't log in again
+    this.saveSession(tokenResponse, user.name);
+
+    this.updateStatus('authenticating', `Authenticated as ${this.username}`);
+  }
+
+  isTrustedOrigin(origin) {
+    // The callback page normally lives on this site; allowed-origins covers anywhere else it's served from
+    const trusted = [new URL(this.config.redirectUri).origin, window.location.origin];
+    this.config.allowedOrigins.forEach(allowed => {
+      try {
+        trusted.push(new URL(allowed).origin);
+      } catch (error) {
+        console.warn('Ignoring invalid entry in allowed-origins:', allowed);
+      }
+    });
+    return trusted.includes(origin);
+  }
+
+  async handleOAuthCallback(event) {
+    // Ignore postMessages that aren't OAuth callbacks (e.g. from Angular, analytics, iframes)
+    if (!event.data || (!event.data.code && !event.data.error)) {
+      return;
+    }
+
+    // Every exporter on the page hears the callback; only the one that opened the popup handles it
+    if (!this.oauthState) {
+      return;
+    }
+
+    // Debug logging to help troubleshoot origin issues
+    console.log('OAuth callback received from:', event.origin);
+
+    if (!this.isTrustedOrigin(event.origin)) {
+      console.warn('Ignoring postMessage from unexpected origin (add it to allowed-origins if it is yours):', event.origin);
+      return;
+    }
+
+    let { code, state, error } = event.data;
+
+    // HuggingFace returns state as an object with nested state property
+    // Handle both formats: string or object with state property
+    if (typeof state === 'object' && state !== null && state.state) {
+      console.log('Main: State is object, extracting nested state');
+      state = state.state;
+    }
+
+    console.log('Main: Received state:', state);
+    console.log('Main: Expected state:', this.oauthState);
+    console.log('Main: States match?', state === this.oauthState);
+
+    if (error) {
+      this.oauthReject(new Error(`OAuth error: ${error}`));
+      return;
+    }
+
+    if (state !== this.oauthState) {
+      console.error('Main: State mismatch! Received:', state, 'Expected:', this.oauthState);
+      this.oauthReject(new Error('Invalid OAuth state'));
+      return;
+    }
+
+    if (!code) {
+      return;
+    }
+
+    // The state is single-use
+    this.oauthState = null;
+
+    // Exchange code for token
+    try {
+      const tokenResponse = await this.exchangeCodeForToken(code);
+      await this.finishLogin(tokenResponse);
+
+      // Close popup
+      if (this.oauthPopup && !this.oauthPopup.closed) {
+        this.oauthPopup.close();
+      }
+
+      this.oauthResolve();
+
+    } catch (error) {
+      this.oauthReject(error);
+    }
+  }
+
+  async exchangeCodeForToken(code, redirectUri = this.config.redirectUri) {
+    // Get the code_verifier that was stored by oauthLoginUrl
+    const codeVerifier = localStorage.getItem('huggingface.co:oauth:code_verifier');
+    if (!codeVerifier) {
+      console.error('Token exchange: No code_verifier found in localStorage!');
+      throw new Error('PKCE code_verifier not found');
+    }
+
+    console.log('Token exchange: Sending request to HuggingFace');
+    console.log('Token exchange: redirect_uri:', redirectUri);
+    console.log('Token exchange: client_id:', this.config.hfClientId);
+    console.log('Token exchange: code_verifier found:', !!codeVerifier);
+
+    const tokenData = await this.requestToken({
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: redirectUri,
+      client_id: this.config.hfClientId,
+      code_verifier: codeVerifier,
+    });
+
+    console.log('Token exchange: Success! Received access token');
+
+    // Clean up the code_verifier from localStorage for security
+    localStorage.removeItem('huggingface.co:oauth:code_verifier');
+    localStorage.removeItem('huggingface.co:oauth:nonce');
+
+    return tokenData;
+  }
+
+  async requestToken(params) {
+    const tokenUrl = `${this.config.hubUrl}/oauth/token`;
+
+    const response = await networkFetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams(params),
+    });
+
+    console.log('Token exchange: Response status:', response.status, response.statusText);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Token exchange: Error response:', errorText);
+      throw Object.assign(createHttpError(`Token exchange failed (${response.status}): ${errorText || response.statusText}`, response), { hub: true });
+    }
+
+    return response.json();
+  }
+
+  populateNamespaces(user) {
+    // Orgs come back with the user's role, which tells us whether they can create repos there
+    this.userOrgs = user.orgs || [];
+    // ...and the token's own permissions, which can be narrower than the user's
+    this.tokenInfo = (user.auth && user.auth.accessToken) || null;
+
+    const select = this.shadowRoot.getElementById('namespace');
+    if (!select) return;
+
+    const selected = select.value || this.config.defaultNamespace;
+    const namespaces = [user.name, ...this.userOrgs.map(org => org.name)];
+
+    select.innerHTML = '';
+    namespaces.forEach(namespace => {
+      const label = namespace === user.name ? `${namespace} (you)` : namespace;
+      select.appendChild(this.createNamespaceOption(namespace, label));
+    });
+
+    select.value = namespaces.includes(selected) ? selected : user.name;
+  }
+
+  createNamespaceOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }
+
+  getTargetNamespace() {
+    const select = this.shadowRoot.getElementById('namespace');
+    return (select && select.value) || this.username;
+  }
+
+  isPrivateRepo() {
+    const checkbox = this.shadowRoot.getElementById('private-repo');
+    return checkbox ? checkbox.checked : this.config.private;
+  }
+
+  checkNamespaceAccess(namespace) {
+    this.checkTokenScope(namespace);
+
+    if (namespace === this.username) {
+      return;
+    }
+
+    const org = (this.userOrgs || []).find(o => o.name === namespace);
+    if (!org) {
+      throw new Error(`You are not a member of the "${namespace}" organization on HuggingFace`);
+    }
+
+    // roleInOrg is one of admin, write, contributor or read; only read cannot create repos
+    if (org.roleInOrg === 'read') {
+      throw new Error(`You don't have write access to the "${namespace}" organization (your role is "read")`);
+    }
+  }
+
+  checkTokenScope(namespace) {
+    // OAuth sessions are granted write-repos up front; user access tokens say what they allow
+    if (!this.tokenInfo) {
+      return;
+    }
+
+    const { role, fineGrained } = this.tokenInfo;
+    if (role === 'read') {
+      throw new Error('This access token is read-only. Create one with the "write" role to publish datasets.');
+    }
+    if (role !== 'fineGrained' || !fineGrained) {
+      return;
+    }
+
+    // Fine-grained tokens list write access per user, organization or repository
+    const repoName = `${namespace}/${this.datasetName}`;
+    const canWrite = (fineGrained.scoped || []).some(({ entity, permissions }) =>
+      (entity.name === namespace || entity.name === repoName) && permissions.includes('repo.write'));
+    if (!canWrite) {
+      throw new Error(`This access token can't write to "${namespace}". Give it the "Write access to contents/settings of all repos" permission for ${namespace}.`);
+    }
+  }
+
+  getBackend() {
+    const selected = this._backendOverride || (this.config && this.config.backend) || 'rnacentral';
+
+    if (typeof selected === 'object') {
+      return selected;
+    }
+
+    if (!this._backendInstance || this._backendInstanceName !== selected) {
+      const factory = BACKENDS.get(selected);
+      if (!factory) {
+        throw new Error(`Unknown export backend "${selected}"`);
+      }
+
+      const backend = factory(this.config);
+      const missing = BACKEND_METHODS.filter(method => typeof backend[method] !== 'function');
+      if (missing.length > 0) {
+        throw new Error(`Export backend "${selected}" is missing ${missing.join(', ')}`);
+      }
+
+      this._backendInstance = backend;
+      this._backendInstanceName = selected;
+    }
+
+    return this._backendInstance;
+  }
+
+  async runPreflightChecks() {
+    this.updateStatus('reviewing', 'Checking the dataset name and the query...');
+
+    // Downloads never touch the Hub, so only the query is checked
+    let repoName = null;
+    if (this.target === 'upload') {
+      const namespace = this.getTargetNamespace();
+      this.checkNamespaceAccess(namespace);
+      repoName = `${namespace}/${this.datasetName}`;
+    }
+
+    const { sourceApiUrl } = this;
+    const backend = this.getBackend();
+    const { signal } = this.abortController;
+
+    const [existing, rowCount] = await Promise.all([
+      repoName ? this.getExistingRepoSummary({ type: 'dataset', name: repoName }) : null,
+      backend.countResults
+        ? backend.countResults({ sourceApiUrl, signal }).catch(error => {
+          if (error.name === 'AbortError') throw error;
+          // Not being able to count shouldn't stop the export
+          console.warn('Could not count results:', error);
+          return null;
+        })
+        : null,
+    ]);
+
+    if (rowCount === 0) {
+      throw this.createPermanentError('The query returned no results, so there is nothing to export');
+    }
+    if (rowCount !== null && this.config.maxResults && rowCount > this.config.maxResults) {
+      throw this.createPermanentError(
+        `The query returned ${rowCount.toLocaleString()} results, more than the maximum of ${this.config.maxResults.toLocaleString()}. Please narrow it down.`
+      );
+    }
+
+    this.rowCount = rowCount;
+    this.renderPreflightSummary(repoName, existing, rowCount);
+
+    const panel = this.shadowRoot.getElementById('preflight');
+    panel.style.display = 'block';
+    this.updateStatus('reviewing', 'Check the export summary, then start the export');
+
+    await this.waitForConfirm(panel, this.shadowRoot.getElementById('preflight-confirm'));
+  }
+
+  renderPreflightSummary(repoName, existing, rowCount) {
+    const summary = this.shadowRoot.getElementById('preflight-summary');
+    summary.innerHTML = '';
+
+    const rows = [
+      repoName
+        ? ['Dataset', existing ? `${repoName} (already exists, you'll choose how to update it)` : `${repoName} (new)`]
+        : ['Dataset', `${this.datasetName} (download only)`],
+      ['Rows', rowCount === null ? 'Unknown' : rowCount.toLocaleString()],
+    ];
+
+    if (rowCount !== null) {
+      const sizes = this.formats.map(format => `${EXPORT_FORMATS[format].label} ~${this.formatBytes(rowCount * EXPORT_FORMATS[format].bytesPerRow)}`);
+      rows.push(['Estimated size', sizes.join(', ')]);
+    }
+
+    rows.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      summary.append(term, description);
+    });
+  }
+
+  waitForConfirm(panel, confirmBtn) {
+    const { signal } = this.abortController;
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        panel.style.display = 'none';
+        confirmBtn.removeEventListener('click', onConfirm);
+        signal.removeEventListener('abort', onAbort);
+      };
+
+      const onConfirm = () => {
+        finish();
+        resolve();
+      };
+
+      const onAbort = () => {
+        finish();
+        reject(this.createCancelError());
+      };
+
+      confirmBtn.addEventListener('click', onConfirm);
+      signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  createPermanentError(message) {
+    // Retrying can't fix these, so handleError reports them straight away
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+  }
+
+  async submitExportJob() {
+    this.setStage('export', 'active', 'Submitting');
+    this.updateStatus('exporting', 'Submitting export jobs...');
+
+    const backend = this.getBackend();
+    const { signal } = this.abortController;
+
+    // The job list is built once; a retried submit only resubmits the jobs that didn't get a task ID
+    if (this.jobs.length === 0) {
+      this.jobs = this.buildJobs();
+    }
+
+    const results = await Promise.allSettled(
+      this.jobs.filter(job => !job.taskId).map(job => this.submitJob(job, backend, signal))
+    );
+    this.renderJobList();
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+
+    const summary = this.jobs.map(job => `${job.dataType}: ${job.taskId}`).join(', ');
+    this.updateStatus('exporting', `Export jobs submitted (${summary})`);
+  }
+
+  buildJobs() {
+    const jobs = [
+      ...this.formats.flatMap(format => this.getFormatJobs(format)),
+      { ...README_JOB },
+    ];
+    return jobs.map(job => ({ ...job, sourceApiUrl: this.sourceApiUrl, options: this.getJobOptions(job) }));
+  }
+
+  getJobOptions(job) {
+    // The README job gets the fields too, so the generated card describes the same columns
+    const options = this.fields ? { fields: this.fields } : {};
+
+    if (job.split) {
+      // Every split job gets the same ratios and seed so the service partitions the rows identically
+      Object.assign(options, {
+        split: job.split,
+        splitRatios: this.splitOptions.ratios,
+        splitSeed: this.splitOptions.seed,
+        stratifyBy: this.splitOptions.stratifyBy,
+      });
+    }
+
+    return options;
+  }
+
+  async submitJob(job, backend, signal) {
+    try {
+      const { taskId, streamUrl } = await backend.submit({
+        sourceApiUrl: job.sourceApiUrl,
+        dataType: job.dataType,
+        options: job.options,
+        signal,
+      });
+
+      Object.assign(job, {
+        taskId,
+        streamUrl: streamUrl || null,
+        ready: false,
+        state: 'queued',
+        percentage: 0,
+        error: null,
+        startedAt: Date.now(),
+        finishedAt: null,
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        error.message = `${job.label}: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+
+  getFormatJobs(format) {
+    const job = { format, ...EXPORT_FORMATS[format] };
+
+    if (format !== 'parquet' || !this.splitOptions) {
+      return [job];
+    }
+
+    // One parquet file per split under data/, matching the configs section added to the card
+    return Object.keys(this.splitOptions.ratios).map(split => ({
+      ...job,
+      label: `${job.label} (${split})`,
+      split,
+      path: `data/${split}.parquet`,
+    }));
+  }
+
+  async pollExportStatus() {
+    const { signal } = this.abortController;
+
+    // Elapsed times in the job list tick even when no progress comes in; nothing ticks while every job is done or failed
+    const ticker = setInterval(() => {
+      if (this.jobs.some(job => !job.ready && job.state !== 'failed')) {
+        this.renderJobList();
+      }
+    }, 1000);
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.jobsSettled = { resolve, reject };
+        this.addPollWatcher(() => {}, reject);
+
+        // Jobs restored from a resumed export may already be done
+        this.jobs.filter(job => !job.ready).forEach(job => this.trackJob(job, signal));
+        this.onJobSettled();
+      });
+    } finally {
+      clearInterval(ticker);
+      this.jobsSettled = null;
+    }
+
+    this.setStage('export', 'done', '100%');
+    this.updateStatus('exporting', 'Export complete, preparing upload...');
+  }
+
+  trackJob(job, signal) {
+    if (job.state !== 'running') {
+      job.state = 'queued';
+    }
+    job.startedAt = job.startedAt || Date.now();
+
+    this.watchJob(job, signal).then(
+      () => {
+        Object.assign(job, { ready: true, state: 'done', percentage: 100, finishedAt: Date.now() });
+        this.onJobSettled();
+      },
+      (error) => {
+        if (signal.aborted) {
+          return;
+        }
+
+        // A failed job doesn't stop the others; the user can retry it from the job list
+        Object.assign(job, { state: 'failed', error: error.message, finishedAt: Date.now() });
+        console.error(`Export job ${job.taskId} (${job.dataType}) failed:`, error);
+        this.emit('job-error', { dataType: job.dataType, taskId: job.taskId, message: error.message });
+        this.onJobSettled();
+      }
+    );
+  }
+
+  onJobSettled() {
+    this.renderJobList();
+
+    if (!this.jobsSettled || this.jobs.some(job => job.state === 'queued' || job.state === 'running')) {
+      return;
+    }
+
+    const failed = this.jobs.filter(job => job.state === 'failed');
+    if (failed.length === 0) {
+      this.jobsSettled.resolve();
+      return;
+    }
+
+    // Wait for the user to retry the failed jobs (or cancel the export)
+    this.setStage('export', 'active', `${failed.length} failed`);
+    this.updateStatus('exporting', `${failed.length} export job${failed.length > 1 ? 's' : ''} failed. Retry ${failed.length > 1 ? 'them' : 'it'} below or cancel the export.`);
+  }
+
+  async retryJob(index) {
+    const job = this.jobs[index];
+    if (!job || job.state !== 'failed' || !this.jobsSettled) {
+      return;
+    }
+
+    const { signal } = this.abortController;
+    const previousTaskId = job.taskId;
+
+    job.state = 'queued';
+    job.error = null;
+    this.renderJobList();
+    this.updateStatus('exporting', `Resubmitting ${job.label} export...`);
+
+    try {
+      await this.submitJob(job, this.getBackend(), signal);
+    } catch (error) {
+      if (signal.aborted) {
+        return;
+      }
+      Object.assign(job, { state: 'failed', error: error.message });
+      this.onJobSettled();
+      return;
+    }
+
+    this.emit('job-submitted', { jobs: [{ dataType: job.dataType, taskId: job.taskId }], retryOf: previousTaskId });
+    this.saveExportState('polling');
+    this.trackJob(job, signal);
+    this.renderJobList();
+  }
+
+  renderJobList() {
+    const tbody = this.shadowRoot.querySelector('#job-list tbody');
+    if (!tbody) return;
+
+    // Rows are updated in place, so a Retry button being clicked or focused survives the ticker
+    while (tbody.rows.length > this.jobs.length) {
+      tbody.deleteRow(-1);
+    }
+
+    this.jobs.forEach((job, index) => {
+      let row = tbody.rows[index];
+      if (!row) {
+        row = tbody.insertRow();
+        for (let i = 0; i < 6; i++) {
+          row.insertCell();
+        }
+      }
+      row.className = `job ${job.state || 'queued'}`;
+
+      const elapsed = job.startedAt ? ((job.finishedAt || Date.now()) - job.startedAt) / 1000 : 0;
+      const cells = [
+        job.label,
+        job.taskId ? job.taskId.slice(0, 8) : '—',
+        job.state || 'queued',
+        `${job.percentage || 0}%`,
+        this.formatElapsed(elapsed),
+      ];
+
+      cells.forEach((text, i) => {
+        const cell = row.cells[i];
+        if (cell.textContent !== text) cell.textContent = text;
+        if (i === 1) cell.title = job.taskId || '';
+        if (i === 2) cell.title = job.error || '';
+      });
+
+      const actionCell = row.cells[5];
+      let retryBtn = actionCell.querySelector('.retry-job');
+      if (job.state === 'failed' && !retryBtn) {
+        retryBtn = document.createElement('button');
+        retryBtn.className = 'secondary retry-job';
+        retryBtn.textContent = 'Retry';
+        actionCell.appendChild(retryBtn);
+      } else if (job.state !== 'failed' && retryBtn) {
+        retryBtn.remove();
+        retryBtn = null;
+      }
+      if (retryBtn) {
+        retryBtn.dataset.index = index;
+      }
+    });
+  }
+
+  formatElapsed(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${String(rest).padStart(2, '0')}`;
+  }
+
+  async watchJob(job, signal) {
+    // Prefer pushed progress when the backend hands out a stream for the job
+    if (job.streamUrl && typeof EventSource !== 'undefined') {
+      try {
+        return await this.streamJob(job, signal);
+      } catch (error) {
+        if (!error.streamUnavailable) {
+          throw error;
+        }
+        console.warn(`Progress stream for ${job.dataType} unavailable, falling back to polling: ${error.message}`);
+      }
+    }
+    return this.pollJob(job, signal);
+  }
+
+  pollJob(job, signal) {
+    const backend = this.getBackend();
+    const { taskId, dataType } = job;
+    const { maxAttempts } = this.getRetryPolicy('poll');
+    let failures = 0;
+
+    return new Promise((resolve, reject) => {
+      const interval = setInterval(async () => {
+        try {
+          const status = await backend.status({ taskId, dataType, signal });
+
+          if (signal.aborted) {
+            return;
+          }
+
+          failures = 0;
+
+          if (status.state === 'done') {
+            clearInterval(interval);
+            resolve();
+            return;
+          }
+
+          this.handleJobProgress(job, status);
+        } catch (error) {
+          // Ride out transient status errors; the job only fails if they keep coming
+          failures++;
+          if (this.classifyError(error) !== 'permanent' && failures < maxAttempts && !signal.aborted) {
+            console.warn(`Status check for ${dataType} job ${taskId} failed, trying again:`, error);
+            return;
+          }
+          clearInterval(interval);
+          reject(error);
+        }
+      }, this.config.pollIntervalMs);
+
+      // Store interval so it can be cleared on disconnect or cancel
+      this.addPollWatcher(() => clearInterval(interval), reject);
+    });
+  }
+
+  streamJob(job, signal) {
+    const backend = this.getBackend();
+
+    return new Promise((resolve, reject) => {
+      let source = null;
+      let reconnectTimer = null;
+      let attempts = 0;
+      let everConnected = false;
+      let openedAt = 0;
+
+      const stop = () => {
+        clearTimeout(reconnectTimer);
+        if (source) source.close();
+      };
+
+      const unavailable = (message) => {
+        stop();
+        const error = new Error(message);
+        error.streamUnavailable = true;
+        reject(error);
+      };
+
+      const connect = () => {
+        source = new EventSource(job.streamUrl);
+
+        source.onopen = () => {
+          // Drops keep counting until a connection proves stable; resetting on every open would
+          // reconnect a flapping stream forever without backing off or falling back to polling
+          everConnected = true;
+          openedAt = Date.now();
+        };
+
+        source.onmessage = (event) => {
+          let status;
+          try {
+            status = backend.parseProgressEvent ? backend.parseProgressEvent(event.data) : JSON.parse(event.data);
+          } catch (error) {
+            stop();
+            reject(error);
+            return;
+          }
+
+          if (status.state === 'done') {
+            stop();
+            resolve();
+            return;
+          }
+
+          this.handleJobProgress(job, status);
+        };
+
+        source.onerror = () => {
+          // We manage reconnects ourselves so we control the backoff
+          source.close();
+          if (signal.aborted) {
+            return;
+          }
+
+          if (!everConnected) {
+            unavailable('could not connect');
+            return;
+          }
+
+          if (openedAt && Date.now() - openedAt >= STREAM_HEALTHY_MS) {
+            attempts = 0;
+          }
+          openedAt = 0;
+
+          attempts++;
+          if (attempts > STREAM_MAX_RECONNECTS) {
+            unavailable(`connection lost ${STREAM_MAX_RECONNECTS} times`);
+            return;
+          }
+
+          const delay = Math.min(STREAM_BACKOFF_MAX_MS, 1000 * Math.pow(2, attempts - 1));
+          reconnectTimer = setTimeout(connect, delay);
+        };
+      };
+
+      connect();
+      this.addPollWatcher(stop, reject);
+    });
+  }
+
+  addPollWatcher(stop, reject) {
+    if (!this._pollWatchers) this._pollWatchers = [];
+    this._pollWatchers.push({ stop, reject });
+  }
+
+  handleJobProgress(job, { state, processed, total, percentage }) {
+    job.state = state === 'queued' ? 'queued' : 'running';
+    job.percentage = percentage;
+    if (job.format !== README_JOB.format) {
+      this.reportExportProgress();
+    }
+    this.renderJobList();
+
+    this.emit('progress', { phase: 'export', dataType: job.dataType, taskId: job.taskId, processed, total, percentage });
+  }
+
+  reportExportProgress() {
+    // The README job is tiny, so progress is averaged over the data files only
+    const dataJobs = this.jobs.filter(job => job.format !== README_JOB.format);
+    const total = dataJobs.reduce((sum, job) => sum + job.percentage, 0);
+    this.exportProgress = Math.round(total / dataJobs.length);
+
+    // Per-job detail lives in the job list
+    this.setStage('export', 'active', `${this.exportProgress}%`);
+    this.updateStatus('exporting', `Exporting... ${this.exportProgress}%`);
+  }
+
+  stopPolling() {
+    if (this._pollWatchers) {
+      const cancelError = this.createCancelError();
+      this._pollWatchers.forEach(({ stop, reject }) => {
+        stop();
+        reject(cancelError);
+      });
+      this._pollWatchers = [];
+    }
+  }
+
+  async cancelServerJobs(jobs) {
+    const backend = this.getBackend();
+
+    await Promise.all(jobs.map(async ({ taskId, dataType }) => {
+      try {
+        await backend.cancel({ taskId, dataType });
+      } catch (error) {
+        console.warn(`Cancel request for ${dataType} job ${taskId} failed:`, error);
+      }
+    }));
+  }
+
+  getDownloadUrl(job) {
+    return this.getBackend().getResultUrl({ taskId: job.taskId, dataType: job.dataType });
+  }
+
+  async createAndUploadDataset() {
+    // Resumed exports skip polling, so mark the export stage here too
+    this.setStage('export', 'done', '100%');
+
+    const namespace = this.getTargetNamespace();
+    const isPrivate = this.isPrivateRepo();
+
+    this.checkNamespaceAccess(namespace);
+
+    const repoName = `${namespace}/${this.datasetName}`;
+    const repo = { type: 'dataset', name: repoName };
+    const credentials = { accessToken: this.accessToken };
+
+    // A retried upload reuses the repo and the update mode settled on the first attempt
+    if (!this.uploadChoice) {
+      this.uploadChoice = await this.prepareTargetRepo(repo, namespace, isPrivate);
+    }
+    const choice = this.uploadChoice;
+
+    if (choice.mode === 'branch' && !choice.branchCreated) {
+      this.updateStatus('uploading', `Creating branch ${choice.branch}...`);
+      await this.createBranch(repoName, choice.branch);
+      choice.branchCreated = true;
+    }
+
+    const provenance = await this.buildProvenance();
+    const files = await this.getExportFiles(provenance);
+
+    this.updateStatus('uploading', 'Measuring files...');
+    const sizes = await this.getFileSizes(files);
+    this.startUploadProgress(files, sizes);
+    this.updateStatus('uploading', 'Uploading files to HuggingFace...');
+
+    // Kept for verifying the commit afterwards
+    this.uploadedFiles = files.map(({ path, content }, i) => ({ path, content, size: sizes[i] }));
+
+    const upload = uploadFilesWithProgress({
+      repo,
+      credentials,
+      hubUrl: this.config.hubUrl,
+      files,
+      commitTitle: choice.commitTitle,
+      commitDescription: this.describeExport(provenance),
+      branch: choice.mode === 'branch' ? choice.branch : undefined,
+      isPullRequest: choice.mode === 'pr',
+      abortSignal: this.abortController.signal,
+    });
+
+    let output;
+    for (;;) {
+      // uploadFilesWithProgress takes no fetch of its own, so its network failures are marked here
+      const { value, done } = await upload.next().catch(error => { throw markNetworkError(error); });
+      if (done) {
+        output = value;
+        break;
+      }
+      this.handleUploadEvent(value);
+    }
+
+    this.setStage('commit', 'done', 'Done');
+
+    const repoUrl = `${this.config.hubUrl}/datasets/${repoName}`;
+
+    if (choice.mode === 'pr') {
+      this.datasetUrl = output.pullRequestUrl || `${repoUrl}/discussions`;
+    } else if (choice.mode === 'branch') {
+      this.datasetUrl = `${repoUrl}/tree/${encodeURIComponent(choice.branch)}`;
+    } else {
+      this.datasetUrl = repoUrl;
+    }
+
+    this.uploadResult = {
+      repo: repoName,
+      mode: choice.mode,
+      branch: choice.branch || null,
+      pullRequestUrl: output.pullRequestUrl || null,
+      commit: output.commit ? output.commit.oid : null,
+      message: {
+        create: 'Dataset created successfully!',
+        overwrite: 'Dataset updated successfully!',
+        branch: `Dataset committed to branch ${choice.branch}`,
+        pr: 'Pull request opened on the dataset',
+      }[choice.mode],
+      linkLabel: choice.mode === 'pr' ? 'View pull request on HuggingFace →' : 'View dataset on HuggingFace →',
+    };
+
+    this.emit('upload-complete', {
+      repo: repoName,
+      private: isPrivate,
+      datasetUrl: this.datasetUrl,
+      mode: this.uploadResult.mode,
+      branch: this.uploadResult.branch,
+      pullRequestUrl: this.uploadResult.pullRequestUrl,
+      commit: this.uploadResult.commit,
+    });
+  }
+
+  async getExportFiles(provenance) {
+    const files = await Promise.all(this.jobs.map(async (job) => ({
+      path: job.path,
+      content: job.format === README_JOB.format
+        ? await this.prepareDatasetCard(job)
+        : new URL(this.getDownloadUrl(job)),
+    })));
+
+    files.push({
+      path: PROVENANCE_PATH,
+      content: new Blob([JSON.stringify(provenance, null, 2)], { type: 'application/json' }),
+    });
+    return files;
+  }
+
+  async buildProvenance() {
+    const toDate = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+    return {
+      schema_version: 1,
+      generator: { name: packageInfo.name, version: packageInfo.version },
+      backend: typeof this._backendOverride === 'object' ? 'custom' : (this._backendOverride || this.config.backend || 'rnacentral'),
+      source_api_url: this.sourceApiUrl,
+      options: {
+        formats: this.formats,
+        fields: this.fields,
+        splits: this.splitOptions,
+      },
+      release: await this.getReleaseInfo(),
+      row_count: this.rowCount === undefined ? null : this.rowCount,
+      jobs: this.jobs.map(job => ({
+        format: job.format,
+        data_type: job.dataType,
+        path: job.path,
+        split: job.split || null,
+        task_id: job.taskId || null,
+        started_at: toDate(job.startedAt),
+        finished_at: toDate(job.finishedAt),
+      })),
+      created_at: new Date().toISOString(),
+    };
+  }
+
+  async getReleaseInfo() {
+    const backend = this.getBackend();
+    if (!backend.getReleaseInfo) {
+      return null;
+    }
+
+    try {
+      return await backend.getReleaseInfo({ signal: this.abortController.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // The manifest is still useful without it
+      console.warn('Could not get release information:', error);
+      return null;
+    }
+  }
+
+  describeExport(provenance) {
+    const { options, release, jobs } = provenance;
+    const lines = [
+      `Source: ${provenance.source_api_url}`,
+      `Formats: ${options.formats.join(', ')}`,
+    ];
+
+    if (options.fields) {
+      lines.push(`Columns: ${options.fields.join(', ')}`);
+    }
+    if (options.splits) {
+      const ratios = Object.entries(options.splits.ratios).map(([split, ratio]) => `${split} ${Math.round(ratio * 100)}%`);
+      lines.push(`Splits: ${ratios.join(', ')} (seed ${options.splits.seed})`);
+    }
+    if (release) {
+      lines.push(`RNAcentral release: ${release.release || JSON.stringify(release)}${release.date ? ` (${release.date})` : ''}`);
+    }
+
+    const tasks = jobs.filter(job => job.task_id).map(job => `${job.data_type}${job.split ? ` (${job.split})` : ''} ${job.task_id}`);
+    if (tasks.length > 0) {
+      lines.push(`Export tasks: ${tasks.join(', ')}`);
+    }
+
+    lines.push(`Generated by ${provenance.generator.name} ${provenance.generator.version}; full details in ${PROVENANCE_PATH}`);
+    return lines.join('\n');
+  }
+
+  async prepareTargetRepo(repo, namespace, isPrivate) {
+    // Never write into an existing repo without asking first
+    this.updateStatus('uploading', 'Checking for an existing dataset...');
+    let existing = await this.getExistingRepoSummary(repo);
+
+    if (!existing) {
+      this.updateStatus('uploading', `Creating ${isPrivate ? 'private' : 'public'} dataset on HuggingFace...`);
+
+      // Create the dataset repository
+      try {
+        await createRepo({
+          repo,
+          credentials: { accessToken: this.accessToken },
+          hubUrl: this.config.hubUrl,
+          fetch: networkFetch,
+          license: this.config.license,
+          private: isPrivate,
+        });
+
+        this.updateStatus('uploading', 'Dataset repository created');
+      } catch (error) {
+        if (error.statusCode === 403) {
+          throw new Error(`You don't have write access to the "${namespace}" namespace on HuggingFace`);
+        }
+
+        // Someone created it since we checked
+        if (!error.message.includes('already exists')) {
+          throw error;
+        }
+        existing = await this.getExistingRepoSummary(repo);
+      }
+    }
+
+    return existing
+      ? this.chooseUpdateMode(existing)
+      : { mode: 'create', commitTitle: NEW_DATASET_COMMIT_TITLE };
+  }
+
+  async showUploadPlan() {
+    const namespace = this.getTargetNamespace();
+    const isPrivate = this.isPrivateRepo();
+    this.checkNamespaceAccess(namespace);
+
+    const repoName = `${namespace}/${this.datasetName}`;
+    this.updateStatus('reviewing', 'Checking for an existing dataset...');
+
+    // The same jobs and update choice a real export would use, without submitting or writing anything
+    this.jobs = this.buildJobs();
+    const existing = await this.getExistingRepoSummary({ type: 'dataset', name: repoName });
+    const choice = existing
+      ? await this.chooseUpdateMode(existing)
+      : { mode: 'create', commitTitle: NEW_DATASET_COMMIT_TITLE };
+
+    const plan = {
+      repo: repoName,
+      private: isPrivate,
+      mode: choice.mode,
+      branch: choice.branch || null,
+      commitTitle: choice.commitTitle,
+      commitDescription: this.describeExport(await this.buildProvenance()),
+      files: [
+        ...this.jobs.map(({ path, dataType }) => ({ path, dataType })),
+        { path: PROVENANCE_PATH, dataType: 'provenance' },
+      ],
+    };
+
+    this.renderUploadPlan(plan);
+    this.resultMessage = 'Dry run complete: nothing was exported or uploaded';
+    this.emit('dry-run', plan);
+  }
+
+  renderUploadPlan(plan) {
+    const summary = this.shadowRoot.getElementById('plan-summary');
+    const fileList = this.shadowRoot.getElementById('plan-files');
+    summary.innerHTML = '';
+    fileList.innerHTML = '';
+
+    const target = {
+      create: 'New dataset, committed to main',
+      overwrite: 'Commit to main',
+      branch: `Commit to new branch ${plan.branch}`,
+      pr: 'Open a pull request',
+    }[plan.mode];
+
+    [
+      ['Dataset', `${plan.repo} (${plan.private ? 'private' : 'public'})`],
+      ['Update', target],
+      ['Commit message', `${plan.commitTitle}\n\n${plan.commitDescription}`],
+    ].forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      summary.append(term, description);
+    });
+
+    plan.files.forEach(({ path, dataType }) => {
+      const item = document.createElement('li');
+      item.textContent = `${path} (${dataType})`;
+      fileList.appendChild(item);
+    });
+
+    this.shadowRoot.getElementById('dry-run-plan').style.display = 'block';
+  }
+
+  async offerDownloads() {
+    this.setStage('export', 'done', '100%');
+    this.updateStatus('reviewing', 'Preparing the files...');
+    this.clearDownloads();
+
+    const files = await this.getExportFiles(await this.buildProvenance());
+    this.downloadFiles = files.map(({ path, content }) => ({
+      path,
+      content,
+      url: content instanceof Blob ? URL.createObjectURL(content) : content.toString(),
+    }));
+
+    const list = this.shadowRoot.getElementById('download-files');
+    this.downloadFiles.forEach((file) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = file.url;
+      link.download = file.path.split('/').pop();
+      link.textContent = file.path;
+
+      // Browsers ignore download on cross-origin links and would navigate this tab to the file instead,
+      // so service files are fetched and saved from a same-origin object URL
+      if (!(file.content instanceof Blob)) {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.addEventListener('click', (event) => {
+          event.preventDefault();
+          this.saveRemoteFile(file);
+        });
+      }
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    // Saving a whole folder needs the File System Access API; otherwise each link downloads one file
+    this.shadowRoot.getElementById('save-files-btn').style.display = 'showDirectoryPicker' in window ? 'block' : 'none';
+    this.shadowRoot.getElementById('download-panel').style.display = 'block';
+
+    this.resultMessage = 'Export complete. Save the files below.';
+    this.emit('download-ready', { files: this.downloadFiles.map(({ path, url }) => ({ path, url })) });
+  }
+
+  async saveRemoteFile(file) {
+    const status = this.shadowRoot.getElementById('download-status');
+    status.textContent = `Downloading ${file.path}...`;
+
+    try {
+      const response = await networkFetch(file.url);
+      if (!response.ok) {
+        throw createHttpError(`Download of ${file.path} failed: ${response.statusText}`, response);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.path.split('/').pop();
+      link.click();
+      // Give the browser a moment to start the download before the blob goes away
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      status.textContent = '';
+    } catch (error) {
+      console.error(`Downloading ${file.path} failed:`, error);
+      status.textContent = `Downloading ${file.path} failed: ${error.message}`;
+    }
+  }
+
+  clearDownloads() {
+    (this.downloadFiles || [])
+      .filter(file => file.content instanceof Blob)
+      .forEach(file => URL.revokeObjectURL(file.url));
+    this.downloadFiles = null;
+
+    this.shadowRoot.getElementById('download-files').innerHTML = '';
+    this.shadowRoot.getElementById('download-status').textContent = '';
+    this.shadowRoot.getElementById('download-panel').style.display = 'none';
+  }
+
+  async saveFilesToFolder() {
+    const status = this.shadowRoot.getElementById('download-status');
+
+    let directory;
+    try {
+      directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+    } catch (error) {
+      // The user closed the folder picker
+      return;
+    }
+
+    try {
+      for (const [i, file] of this.downloadFiles.entries()) {
+        status.textContent = `Saving ${file.path} (${i + 1} of ${this.downloadFiles.length})...`;
+
+        // Recreate the dataset layout, e.g. data/sequences.fasta
+        const parts = file.path.split('/');
+        const name = parts.pop();
+        let folder = directory;
+        for (const part of parts) {
+          folder = await folder.getDirectoryHandle(part, { create: true });
+        }
+
+        const writable = await (await folder.getFileHandle(name, { create: true })).createWritable();
+
+        // pipeTo streams straight to disk and closes the file when done
+        if (file.content instanceof Blob) {
+          await file.content.stream().pipeTo(writable);
+        } else {
+          const response = await networkFetch(file.url);
+          if (!response.ok) {
+            await writable.abort();
+            throw createHttpError(`Download of ${file.path} failed: ${response.statusText}`, response);
+          }
+          await response.body.pipeTo(writable);
+        }
+      }
+      status.textContent = `Saved ${this.downloadFiles.length} files to "${directory.name}"`;
+    } catch (error) {
+      console.error('Saving files failed:', error);
+      status.textContent = `Saving files failed: ${error.message}`;
+    }
+  }
+
+  async verifyUpload() {
+    this.updateStatus('uploading', 'Verifying the published files...');
+
+    const { repo: repoName, commit, mode } = this.uploadResult;
+    const repo = { type: 'dataset', name: repoName };
+    const credentials = { accessToken: this.accessToken };
+    const checks = [];
+
+    this.shadowRoot.getElementById('verification-checks').innerHTML = '';
+    this.shadowRoot.getElementById('verification').style.display = 'block';
+
+    try {
+      // Look at the commit we just made, not whatever main points to by now
+      const published = new Map();
+      for await (const file of listFiles({ repo, revision: commit || undefined, recursive: true, credentials, hubUrl: this.config.hubUrl, fetch: networkFetch })) {
+        if (file.type === 'file') {
+          published.set(file.path, file);
+        }
+      }
+
+      for (const expected of this.uploadedFiles) {
+        checks.push(await this.verifyFile(expected, published.get(expected.path)));
+      }
+
+      const readme = await downloadFile({ repo, path: README_JOB.path, revision: commit || undefined, credentials, hubUrl: this.config.hubUrl, fetch: networkFetch });
+      checks.push(await this.verifyFrontMatter(readme));
+    } catch (error) {
+      if (this.abortController.signal.aborted) throw error;
+      checks.push({ ok: false, label: 'Published files', detail: `could not be checked: ${error.message}` });
+    }
+
+    this.verification = { ok: checks.every(check => check.ok), checks };
+    checks.forEach(check => this.renderVerificationCheck(check));
+    this.emit('verification-complete', this.verification);
+
+    // The viewer only converts the main branch, so pull requests and branches have nothing to follow;
+    // it also only knows about datasets on huggingface.co
+    if ((mode === 'create' || mode === 'overwrite') && this.config.hubUrl === DEFAULT_HUB_URL) {
+      this.watchDatasetViewer(repoName);
+    }
+  }
+
+  async verifyFile({ path, content, size }, file) {
+    if (!file) {
+      return { ok: false, label: path, detail: 'missing from the commit' };
+    }
+
+    const publishedSize = file.lfs ? file.lfs.size : file.size;
+    // A size of 0 means the export service didn't report one, so there's nothing to compare against
+    if (size && publishedSize !== size) {
+      return { ok: false, label: path, detail: `${this.formatBytes(publishedSize)} published, ${this.formatBytes(size)} expected` };
+    }
+
+    let detail = this.formatBytes(publishedSize);
+    if (file.lfs && content instanceof Blob) {
+      // Only files we hold in memory can be hashed; streamed files are checked by size alone
+      const hash = await this.sha256(content);
+      if (hash !== file.lfs.oid) {
+        return { ok: false, label: path, detail: `LFS hash ${file.lfs.oid.slice(0, 12)}… doesn't match the uploaded file (${hash.slice(0, 12)}…)` };
+      }
+      detail += ', LFS hash matches';
+    } else if (file.lfs) {
+      detail += `, stored in LFS (${file.lfs.oid.slice(0, 12)}…)`;
+    }
+
+    return { ok: true, label: path, detail };
+  }
+
+  async verifyFrontMatter(readme) {
+    if (!readme) {
+      return { ok: false, label: 'README.md front-matter', detail: 'README.md not found' };
+    }
+    try {
+      await this.parseFrontMatter(await readme.text());
+      return { ok: true, label: 'README.md front-matter', detail: 'parses' };
+    } catch (error) {
+      return { ok: false, label: 'README.md front-matter', detail: `doesn't parse: ${error.message}` };
+    }
+  }
+
+  async sha256(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  renderVerificationCheck({ ok, pending, label, detail }, item = document.createElement('li')) {
+    item.className = `check ${pending ? 'pending' : ok ? 'ok' : 'warn'}`;
+    item.textContent = `${pending ? '…' : ok ? '✓' : '⚠'} ${label}: ${detail}`;
+    if (!item.parentNode) {
+      this.shadowRoot.getElementById('verification-checks').appendChild(item);
+    }
+    return item;
+  }
+
+  async watchDatasetViewer(repoName) {
+    this.viewerController = new AbortController();
+    const { signal } = this.viewerController;
+    const deadline = Date.now() + VIEWER_POLL_TIMEOUT_MS;
+    const item = this.renderVerificationCheck({ pending: true, label: 'Dataset viewer', detail: 'converting to parquet...' });
+
+    const report = (state, check) => {
+      this.renderVerificationCheck({ label: 'Dataset viewer', ...check }, item);
+      this.emit('viewer-status', { state, message: check.detail });
+    };
+
+    try {
+      while (Date.now() < deadline) {
+        const { ready, error } = await this.getViewerStatus(repoName, signal);
+
+        if (ready) {
+          report('ready', { ok: true, detail: 'ready' });
+          return;
+        }
+
+        if (error) {
+          report('error', { ok: false, detail: error });
+          if (this.exportStatus === 'success') {
+            this.updateStatus('warning', `${this.resultMessage} However, the dataset viewer couldn't process it: ${error}`);
+          }
+          return;
+        }
+
+        await this.sleep(VIEWER_POLL_INTERVAL_MS, signal);
+      }
+
+      report('timeout', { pending: true, detail: `still processing after ${this.formatDuration(VIEWER_POLL_TIMEOUT_MS / 1000)}; check the dataset page later` });
+    } catch (error) {
+      if (signal.aborted) {
+        return;
+      }
+      report('error', { ok: false, detail: `status unavailable: ${error.message}` });
+    }
+  }
+
+  async getViewerStatus(repoName, signal) {
+    // Private datasets are only visible to the viewer API with the owner's token
+    const response = await networkFetch(`${DATASETS_SERVER_URL}/parquet?dataset=${encodeURIComponent(repoName)}`, {
+      headers: this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {},
+      signal,
+    });
+
+    if (response.ok) {
+      return { ready: true };
+    }
+
+    // Not converted yet, or not even picked up yet
+    const errorCode = response.headers.get('X-Error-Code');
+    if (errorCode === 'ResponseNotReady' || errorCode === 'ResponseNotFound') {
+      return {};
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { error: body.error || `${response.status} ${response.statusText}` };
+  }
+
+  stopViewerWatch() {
+    if (this.viewerController) {
+      this.viewerController.abort();
+      this.viewerController = null;
+    }
+  }
+
+  async getFileSizes(files) {
+    // Content-Length from a HEAD request gives the total to measure upload progress against
+    return Promise.all(files.map(async ({ content }) => {
+      if (content instanceof Blob) {
+        return content.size;
+      }
+      try {
+        const response = await networkFetch(content, { method: 'HEAD', signal: this.abortController.signal });
+        return parseInt(response.headers.get('content-length')) || 0;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        return 0;
+      }
+    }));
+  }
+
+  startUploadProgress(files, sizes) {
+    this.uploadState = {
+      files: files.map(({ path }, i) => ({ path, size: sizes[i], sent: 0, state: 'waiting' })),
+      totalBytes: sizes.reduce((sum, size) => sum + size, 0),
+      sentBytes: 0,
+      percentage: 0,
+      bytesPerSecond: 0,
+      lastSampleAt: performance.now(),
+      lastSampleBytes: 0,
+    };
+    this.setStage('upload', 'active', `0 B / ${this.formatBytes(this.uploadState.totalBytes)}`);
+    this.renderUploadFiles();
+  }
+
+  handleUploadEvent(event) {
+    const state = this.uploadState;
+
+    if (event.event === 'phase') {
+      if (event.phase === 'committing') {
+        // Small files go inline with the commit and never report progress of their own
+        state.files.forEach(file => {
+          file.sent = file.size;
+          file.state = 'done';
+        });
+        this.updateUploadTotals();
+        this.setStage('upload', 'done', this.formatBytes(state.totalBytes));
+        this.setStage('commit', 'active', 'Committing');
+        this.updateStatus('uploading', 'Committing files to HuggingFace...');
+      }
+      return;
+    }
+
+    const file = state.files.find(f => f.path === event.path);
+    if (!file) {
+      return;
+    }
+
+    file.state = event.state;
+    if (event.state === 'uploading') {
+      file.sent = Math.round(event.progress * file.size);
+      if (event.progress >= 1) {
+        file.state = 'done';
+      }
+    }
+
+    this.updateUploadTotals();
+
+    const { sentBytes, totalBytes, bytesPerSecond, percentage } = state;
+    const remaining = bytesPerSecond > 0 ? (totalBytes - sentBytes) / bytesPerSecond : null;
+    const detail = [
+      `${this.formatBytes(sentBytes)} / ${this.formatBytes(totalBytes)}`,
+      bytesPerSecond > 0 ? `${this.formatBytes(bytesPerSecond)}/s` : null,
+      remaining !== null ? `${this.formatDuration(remaining)} left` : null,
+    ].filter(Boolean).join(' · ');
+
+    this.setStage('upload', 'active', detail);
+    this.updateStatus('uploading', file.state === 'hashing' ? `Hashing ${file.path}...` : `Uploading ${file.path}...`);
+
+    this.emit('progress', {
+      phase: 'upload',
+      path: file.path,
+      bytesSent: sentBytes,
+      totalBytes,
+      bytesPerSecond,
+      etaSeconds: remaining,
+      percentage,
     });
+  }
 
-    // For localhost development, accept both localhost and 127.0.0.1
-    const isLocalhost = event.origin === 'http://localhost:8000' ||
-                        event.origin === 'http://127.0.0.1:8000' ||
-                        event.origin === 'https://localhost:8000' ||
-                        event.origin === 'https://127.0.0.1:8000';
+  updateUploadTotals() {
+    const state = this.uploadState;
+    const now = performance.now();
 
-    const isSameOrigin = event.origin === redirectOrigin || event.origin === currentOrigin;
+    state.sentBytes = state.files.reduce((sum, file) => sum + file.sent, 0);
+    state.percentage = state.totalBytes > 0 ? Math.round((state.sentBytes / state.totalBytes) * 100) : 0;
 
-    // Check both redirect URI origin, current page origin, or localhost variants
-    if (!isSameOrigin && !isLocalhost) {
-      console.warn('Ignoring postMessage from unexpected origin:', event.origin);
-      return;
+    // Smooth the throughput so the ETA doesn't jump around with every progress event
+    const elapsed = (now - state.lastSampleAt) / 1000;
+    if (elapsed >= 0.5) {
+      const rate = (state.sentBytes - state.lastSampleBytes) / elapsed;
+      state.bytesPerSecond = state.bytesPerSecond ? 0.7 * state.bytesPerSecond + 0.3 * rate : rate;
+      state.lastSampleAt = now;
+      state.lastSampleBytes = state.sentBytes;
     }
 
-    let { code, state, error } = event.data;
+    this.shadowRoot.getElementById('upload-progress').value = state.percentage;
+    this.renderUploadFiles();
+  }
 
-    // HuggingFace returns state as an object with nested state property
-    // Handle both formats: string or object with state property
-    if (typeof state === 'object' && state !== null && state.state) {
-      console.log('Main: State is object, extracting nested state');
-      state = state.state;
-    }
+  renderUploadFiles() {
+    const list = this.shadowRoot.getElementById('upload-files');
+    list.innerHTML = '';
+    this.uploadState.files.forEach(file => {
+      const item = document.createElement('li');
+      item.textContent = `${file.path} — ${this.formatBytes(file.sent)} / ${this.formatBytes(file.size)} (${file.state})`;
+      list.appendChild(item);
+    });
+  }
 
-    console.log('Main: Received state:', state);
-    console.log('Main: Expected state:', this.oauthState);
-    console.log('Main: States match?', state === this.oauthState);
+  resetStages() {
+    this.exportProgress = 0;
+    this.uploadState = null;
+    ['export', 'upload', 'commit'].forEach(stage => this.setStage(stage, 'pending', ''));
 
-    if (error) {
-      this.oauthReject(new Error(`OAuth error: ${error}`));
-      return;
-    }
+    // Downloads stop after the export, and a dry run doesn't run any stage
+    const stages = this.dryRun ? [] : this.target === 'download' ? ['export'] : ['export', 'upload', 'commit'];
+    ['export', 'upload', 'commit'].forEach(stage => {
+      this.shadowRoot.getElementById(`stage-${stage}`).style.display = stages.includes(stage) ? '' : 'none';
+    });
+    ['dry-run-plan', 'download-panel'].forEach(id => {
+      this.shadowRoot.getElementById(id).style.display = 'none';
+    });
+    this.renderJobList();
+    this.shadowRoot.getElementById('export-progress').value = 0;
+    this.shadowRoot.getElementById('upload-progress').value = 0;
+    this.shadowRoot.getElementById('upload-files').innerHTML = '';
+  }
 
-    if (state !== this.oauthState) {
-      console.error('Main: State mismatch! Received:', state, 'Expected:', this.oauthState);
-      this.oauthReject(new Error('Invalid OAuth state'));
-      return;
-    }
+  setStage(stage, state, detail) {
+    const stageEl = this.shadowRoot.getElementById(`stage-${stage}`);
+    if (!stageEl) return;
 
-    if (!code) {
-      return;
-    }
+    stageEl.className = `stage ${state}`;
+    this.shadowRoot.getElementById(`${stage}-detail`).textContent = detail;
 
-    // Exchange code for token
-    try {
-      const tokenResponse = await this.exchangeCodeForToken(code);
-      this.accessToken = tokenResponse.access_token;
+    if (stage === 'export') {
+      this.shadowRoot.getElementById('export-progress').value = state === 'done' ? 100 : this.exportProgress;
+    }
+  }
 
-      // Get user info
-      const user = await whoAmI({ credentials: { accessToken: this.accessToken } });
-      this.username = user.name;
+  formatDuration(seconds) {
+    if (seconds < 60) {
+      return `${Math.ceil(seconds)} s`;
+    }
+    if (seconds < 3600) {
+      return `${Math.ceil(seconds / 60)} min`;
+    }
+    const hours = Math.floor(seconds / 3600);
+    return `${hours} h ${Math.ceil((seconds - hours * 3600) / 60)} min`;
+  }
 
-      this.updateStatus('authenticating', `Authenticated as ${this.username}`);
+  async getExistingRepoSummary(repo) {
+    const credentials = { accessToken: this.accessToken };
 
-      // Close popup
-      if (this.oauthPopup && !this.oauthPopup.closed) {
-        this.oauthPopup.close();
+    try {
+      const files = [];
+      for await (const file of listFiles({ repo, recursive: true, credentials, hubUrl: this.config.hubUrl, fetch: networkFetch })) {
+        if (file.type === 'file') {
+          files.push(file);
+        }
       }
 
-      this.oauthResolve();
+      let lastCommit = null;
+      for await (const commit of listCommits({ repo, credentials, batchSize: 1, hubUrl: this.config.hubUrl, fetch: networkFetch })) {
+        lastCommit = commit;
+        break;
+      }
 
+      return { files, lastCommit };
     } catch (error) {
-      this.oauthReject(error);
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
     }
   }
 
-  async exchangeCodeForToken(code) {
-    // Exchange authorization code for access token
-    const tokenUrl = 'https://huggingface.co/oauth/token';
+  chooseUpdateMode(existing) {
+    const panel = this.shadowRoot.getElementById('update-options');
+    const summary = this.shadowRoot.getElementById('repo-summary');
+    const branchInput = this.shadowRoot.getElementById('update-branch');
+    const messageInput = this.shadowRoot.getElementById('commit-message');
+
+    this.updateStatus('uploading', 'This dataset already exists. Choose how to update it.');
+
+    summary.innerHTML = '';
+
+    const commitLine = document.createElement('div');
+    commitLine.textContent = existing.lastCommit
+      ? `Last commit: "${existing.lastCommit.title}" by ${existing.lastCommit.authors.map(a => a.username).join(', ') || 'unknown'} on ${new Date(existing.lastCommit.date).toLocaleString()} (${existing.lastCommit.oid.slice(0, 7)})`
+      : 'No commits yet';
+    summary.appendChild(commitLine);
+
+    // Point out what the export would replace
+    const incomingPaths = new Set(this.jobs.map(job => job.path));
+    const fileList = document.createElement('ul');
+    existing.files.forEach(file => {
+      const item = document.createElement('li');
+      item.textContent = `${file.path} (${this.formatBytes(file.lfs ? file.lfs.size : file.size)})`;
+      if (incomingPaths.has(file.path)) {
+        item.className = 'replaced';
+        item.textContent += ' — will be replaced';
+      }
+      fileList.appendChild(item);
+    });
+    summary.appendChild(fileList);
 
-    // Get the code_verifier that was stored by oauthLoginUrl
-    const codeVerifier = localStorage.getItem('huggingface.co:oauth:code_verifier');
-    if (!codeVerifier) {
-      console.error('Token exchange: No code_verifier found in localStorage!');
-      throw new Error('PKCE code_verifier not found');
-    }
+    branchInput.value = `rnacentral-${new Date().toISOString().slice(0, 10)}`;
+    messageInput.value = 'Update dataset from RNAcentral export';
+    this.shadowRoot.querySelector('input[name="update-mode"][value="pr"]').checked = true;
+    panel.style.display = 'block';
 
-    console.log('Token exchange: Sending request to HuggingFace');
-    console.log('Token exchange: redirect_uri:', this.config.redirectUri);
-    console.log('Token exchange: client_id:', this.config.hfClientId);
-    console.log('Token exchange: code_verifier found:', !!codeVerifier);
+    const { signal } = this.abortController;
+
+    return new Promise((resolve, reject) => {
+      const confirmBtn = this.shadowRoot.getElementById('update-confirm');
+
+      const finish = () => {
+        panel.style.display = 'none';
+        confirmBtn.removeEventListener('click', onConfirm);
+        signal.removeEventListener('abort', onAbort);
+      };
+
+      const onConfirm = () => {
+        const mode = this.shadowRoot.querySelector('input[name="update-mode"]:checked').value;
+        const branch = branchInput.value.trim();
+        const commitTitle = messageInput.value.trim() || 'Update dataset from RNAcentral export';
+
+        if (mode === 'branch' && !/^[\w.\-/]+$/.test(branch)) {
+          branchInput.style.borderColor = 'red';
+          return;
+        }
+        branchInput.style.borderColor = '';
+
+        finish();
+        resolve({ mode, branch: mode === 'branch' ? branch : null, commitTitle });
+      };
 
-    const response = await fetch(tokenUrl, {
+      const onAbort = () => {
+        finish();
+        reject(this.createCancelError());
+      };
+
+      confirmBtn.addEventListener('click', onConfirm);
+      signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  async createBranch(repoName, branch) {
+    // Branches start from main; @huggingface/hub has no helper for this yet
+    const response = await networkFetch(`${this.config.hubUrl}/api/datasets/${repoName}/branch/${encodeURIComponent(branch)}`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
       },
-      body: new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: this.config.redirectUri,
-        client_id: this.config.hfClientId,
-        code_verifier: codeVerifier,
-      }),
+      body: JSON.stringify({}),
+      signal: this.abortController.signal,
     });
 
-    console.log('Token exchange: Response status:', response.status, response.statusText);
+    if (response.status === 409) {
+      throw this.createPermanentError(`Branch "${branch}" already exists, please choose another name`);
+    }
+    if (!response.ok) {
+      throw Object.assign(createHttpError(`Could not create branch "${branch}": ${response.statusText}`, response), { hub: true });
+    }
+  }
+
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+  }
+
+  async prepareDatasetCard(job) {
+    // Without edits, splits or chosen fields the generated card is uploaded untouched, streamed straight from the export service
+    if (!this.datasetCard && !this.splitOptions && !this.fields) {
+      return new URL(this.getDownloadUrl(job));
+    }
+
+    const card = this.datasetCard || await this.fetchDatasetCard(job);
+    const data = { ...card.data };
+
+    // datasets.load_dataset reads the split layout from configs/data_files
+    if (this.splitOptions) {
+      data.configs = [{
+        config_name: 'default',
+        data_files: this.jobs
+          .filter(j => j.split)
+          .map(j => ({ split: j.split, path: j.path })),
+      }];
+    }
+
+    // Record the chosen columns as the dataset schema, in export order
+    if (this.fields) {
+      data.dataset_info = {
+        ...data.dataset_info,
+        features: this.fields.map(name => {
+          const field = (this.availableFields || []).find(f => f.name === name);
+          return { name, dtype: (field && field.dtype) || 'string' };
+        }),
+      };
+    }
+
+    return new Blob([await this.stringifyFrontMatter(data, card.body)], { type: 'text/markdown' });
+  }
 
+  async fetchDatasetCard(job) {
+    const response = await networkFetch(this.getDownloadUrl(job), { signal: this.abortController.signal });
     if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Token exchange: Error response:', errorText);
-      throw new Error(`Token exchange failed (${response.status}): ${errorText || response.statusText}`);
+      throw createHttpError(`README download failed: ${response.statusText}`, response);
     }
+    return this.parseFrontMatter(await response.text());
+  }
 
-    const tokenData = await response.json();
-    console.log('Token exchange: Success! Received access token');
+  async previewParquet() {
+    this.updateStatus('reviewing', 'Loading a preview of the exported data...');
 
-    // Clean up the code_verifier from localStorage for security
-    localStorage.removeItem('huggingface.co:oauth:code_verifier');
-    localStorage.removeItem('huggingface.co:oauth:nonce');
+    const panel = this.shadowRoot.getElementById('data-preview');
+    const select = this.shadowRoot.getElementById('preview-file');
+    const parquetJobs = this.jobs.filter(job => job.format === 'parquet');
 
-    return tokenData;
+    // With splits there is one parquet file per split
+    select.innerHTML = '';
+    parquetJobs.forEach((job, i) => select.appendChild(new Option(job.path, i)));
+    select.style.display = parquetJobs.length > 1 ? 'block' : 'none';
+    select.onchange = () => this.loadParquetPreview(parquetJobs[select.value]);
+
+    panel.style.display = 'block';
+    await this.loadParquetPreview(parquetJobs[0]);
+    this.updateStatus('reviewing', 'Check the exported data, then continue to upload');
+
+    await this.waitForConfirm(panel, this.shadowRoot.getElementById('preview-confirm'));
   }
 
-  async submitExportJob() {
-    this.updateStatus('exporting', 'Submitting export jobs...');
+  async loadParquetPreview(job) {
+    const message = this.shadowRoot.getElementById('preview-message');
+    const content = this.shadowRoot.getElementById('preview-content');
+    const { signal } = this.abortController;
 
-    const sourceApiUrl = this.getAttribute('source-api-url') || '';
-
-    const [parquetResponse, readmeResponse] = await Promise.all([
-      fetch(this.config.exportApiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ api_url: sourceApiUrl, data_type: 'parquet' }),
-      }),
-      fetch(this.config.exportApiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ api_url: sourceApiUrl, data_type: 'huggingface' }),
-      }),
-    ]);
+    message.textContent = `Reading ${job.path}...`;
+    content.style.display = 'none';
 
-    if (!parquetResponse.ok) {
-      throw new Error(`Parquet export submission failed: ${parquetResponse.statusText}`);
-    }
-    if (!readmeResponse.ok) {
-      throw new Error(`README export submission failed: ${readmeResponse.statusText}`);
+    try {
+      const { asyncBufferFromUrl, parquetMetadataAsync, parquetSchema, parquetReadObjects } = await import('hyparquet');
+
+      // Only the footer and the first row group's pages are fetched, never the whole file
+      const file = await asyncBufferFromUrl({ url: this.getDownloadUrl(job), fetch: this.rangeOnlyFetch(signal) });
+      const metadata = await parquetMetadataAsync(file);
+      const rowCount = Number(metadata.num_rows);
+      const rows = await parquetReadObjects({ file, metadata, rowStart: 0, rowEnd: Math.min(PREVIEW_ROWS, rowCount) });
+
+      this.preview = {
+        rows,
+        columns: parquetSchema(metadata).children.map(({ element }) => ({
+          name: element.name,
+          type: (element.logical_type && element.logical_type.type) || element.converted_type || element.type || 'GROUP',
+        })),
+        page: 0,
+      };
+
+      this.renderPreviewSummary(metadata, file.byteLength);
+      this.renderPreviewPage(0);
+      message.textContent = rows.length < rowCount ? `Showing the first ${rows.length} of ${rowCount.toLocaleString()} rows` : '';
+      content.style.display = 'block';
+    } catch (error) {
+      if (signal.aborted) throw error;
+      // A preview that can't be loaded shouldn't stop the export
+      console.warn('Parquet preview failed:', error);
+      message.textContent = `Preview unavailable: ${error.message}`;
     }
+  }
+
+  rangeOnlyFetch(signal) {
+    // Without range support the reader would download the whole file, which defeats the point of a preview
+    return async (url, init = {}) => {
+      const response = await networkFetch(url, { ...init, signal });
+      const ranged = init.headers && new Headers(init.headers).has('Range');
+      if (ranged && response.status === 200) {
+        response.body.cancel();
+        throw new Error('the export service does not support range requests');
+      }
+      return response;
+    };
+  }
 
-    const parquetData = await parquetResponse.json();
-    const readmeData = await readmeResponse.json();
+  renderPreviewSummary(metadata, byteLength) {
+    const summary = this.shadowRoot.getElementById('preview-summary');
+    const schema = this.shadowRoot.getElementById('preview-schema');
+    summary.innerHTML = '';
+    schema.innerHTML = '';
+
+    const groupSizes = metadata.row_groups.map(group =>
+      `${Number(group.num_rows).toLocaleString()} rows, ${this.formatBytes(Number(group.total_byte_size))}`
+    );
 
-    this.parquetJobId = parquetData.task_id;
-    this.readmeJobId = readmeData.task_id;
-    this.parquetReady = false;
-    this.readmeReady = false;
+    [
+      ['Rows', Number(metadata.num_rows).toLocaleString()],
+      ['File size', this.formatBytes(byteLength)],
+      ['Row groups', `${metadata.row_groups.length}: ${groupSizes.join('; ')}`],
+    ].forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      summary.append(term, description);
+    });
 
-    this.updateStatus('exporting', `Export jobs submitted (parquet: ${this.parquetJobId}, readme: ${this.readmeJobId})`);
+    this.preview.columns.forEach(({ name, type }) => {
+      const item = document.createElement('li');
+      item.textContent = `${name}: ${type}`;
+      schema.appendChild(item);
+    });
   }
 
-  async pollExportStatus() {
-    const pollJob = (jobId, dataType) => {
-      return new Promise((resolve, reject) => {
-        const interval = setInterval(async () => {
-          try {
-            const url = this.getDownloadUrl(jobId, dataType);
-            const response = await fetch(url);
+  renderPreviewPage(page) {
+    const { rows, columns } = this.preview;
+    const pageCount = Math.max(1, Math.ceil(rows.length / PREVIEW_PAGE_SIZE));
+    this.preview.page = Math.min(Math.max(page, 0), pageCount - 1);
 
-            if (!response.ok) {
-              throw new Error(`Status check failed for ${dataType}: ${response.statusText}`);
-            }
+    const table = this.shadowRoot.getElementById('preview-table');
+    table.innerHTML = '';
 
-            const contentType = response.headers.get('content-type');
+    const header = document.createElement('tr');
+    columns.forEach(({ name }) => {
+      const cell = document.createElement('th');
+      cell.textContent = name;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    const start = this.preview.page * PREVIEW_PAGE_SIZE;
+    rows.slice(start, start + PREVIEW_PAGE_SIZE).forEach(row => {
+      const tr = document.createElement('tr');
+      columns.forEach(({ name }) => {
+        const cell = document.createElement('td');
+        const text = this.formatPreviewValue(row[name]);
+        // Sequences can be thousands of characters long; the full value is in the tooltip
+        cell.textContent = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+        cell.title = text;
+        tr.appendChild(cell);
+      });
+      table.appendChild(tr);
+    });
 
-            if (contentType && contentType.includes('application/json')) {
-              const status = await response.json();
-              const progress = status.progress_ids || 0;
-              const total = status.hit_count || 100;
-              const percentage = Math.round((progress / total) * 100);
+    this.shadowRoot.getElementById('preview-page').textContent = `Page ${this.preview.page + 1} of ${pageCount}`;
+    this.shadowRoot.getElementById('preview-prev').disabled = this.preview.page === 0;
+    this.shadowRoot.getElementById('preview-next').disabled = this.preview.page === pageCount - 1;
+  }
 
-              if (dataType === 'parquet') {
-                this.updateStatus('exporting', `Parquet export progress: ${percentage}%`);
-                this.uploadProgress = percentage;
-              }
-            } else {
-              // Job is complete — do NOT consume the body, the HF library will fetch it
-              clearInterval(interval);
-              resolve();
-            }
-          } catch (error) {
-            clearInterval(interval);
-            reject(error);
-          }
-        }, this.config.pollIntervalMs);
+  formatPreviewValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+    }
+    return String(value);
+  }
 
-        // Store interval so it can be cleared on disconnect
-        if (!this._pollIntervals) this._pollIntervals = [];
-        this._pollIntervals.push(interval);
-      });
-    };
+  async reviewDatasetCard() {
+    this.updateStatus('reviewing', 'Loading the generated dataset card...');
 
-    await Promise.all([
-      pollJob(this.parquetJobId, 'parquet').then(() => { this.parquetReady = true; }),
-      pollJob(this.readmeJobId, 'huggingface').then(() => { this.readmeReady = true; }),
+    const readmeJob = this.jobs.find(job => job.format === README_JOB.format);
+    const [{ data, body }] = await Promise.all([
+      this.fetchDatasetCard(readmeJob),
+      this.loadMarkdownRenderer(),
     ]);
 
-    this.updateStatus('exporting', 'Export complete, preparing upload...');
+    const panel = this.shadowRoot.getElementById('card-editor');
+    const field = (id) => this.shadowRoot.getElementById(id);
+    const list = (value) => (Array.isArray(value) ? value : value ? [value] : []).join(', ');
+
+    // An explicit license attribute wins over whatever the export service put in the card
+    field('card-license').value = this.hasAttribute('license') ? this.config.license : (data.license || this.config.license);
+    field('card-pretty-name').value = data.pretty_name || this.datasetName;
+    field('card-tags').value = list(data.tags);
+    field('card-task-categories').value = list(data.task_categories);
+    field('card-size-categories').value = list(data.size_categories).split(', ')[0] || '';
+    field('card-body').value = this.withDescription(body);
+    this.renderCardPreview();
+
+    panel.style.display = 'block';
+    this.updateStatus('reviewing', 'Review the dataset card, then continue to upload');
+
+    await this.waitForConfirm(panel, field('card-confirm'));
+
+    // Keep every front-matter key we don't edit (configs, dataset_info, ...) as generated
+    const split = (id) => field(id).value.split(',').map(value => value.trim()).filter(Boolean);
+    const edited = {
+      ...data,
+      license: field('card-license').value.trim() || undefined,
+      pretty_name: field('card-pretty-name').value.trim() || undefined,
+      tags: split('card-tags'),
+      task_categories: split('card-task-categories'),
+      size_categories: field('card-size-categories').value ? [field('card-size-categories').value] : undefined,
+    };
+    Object.keys(edited).forEach(key => {
+      if (edited[key] === undefined || (Array.isArray(edited[key]) && edited[key].length === 0)) {
+        delete edited[key];
+      }
+    });
+
+    this.datasetCard = { data: edited, body: field('card-body').value };
   }
 
-  getDownloadUrl(jobId, dataType) {
-    const baseUrl = this.config.exportApiUrl.replace('/submit', '');
-    return `${baseUrl}/download/${jobId}/${dataType}`;
+  withDescription(body) {
+    const description = this.config.datasetDescription;
+    if (!description || body.includes(description)) {
+      return body;
+    }
+
+    // Put the description right under the title, or at the top if there is none
+    const lines = body.split('\n');
+    const titleIndex = lines.findIndex(line => /^#\s/.test(line));
+    lines.splice(titleIndex + 1, 0, '', description);
+    return lines.join('\n');
   }
 
-  async createAndUploadDataset() {
-    this.updateStatus('uploading', 'Creating dataset on HuggingFace...');
+  async loadMarkdownRenderer() {
+    // Only needed for the optional review step, so kept out of the main bundle
+    if (!this.renderMarkdown) {
+      const [{ marked }, { default: DOMPurify }] = await Promise.all([import('marked'), import('dompurify')]);
+      this.renderMarkdown = (markdown) => DOMPurify.sanitize(marked.parse(markdown));
+    }
+  }
+
+  renderCardPreview() {
+    const preview = this.shadowRoot.getElementById('card-preview');
+    const markdown = this.shadowRoot.getElementById('card-body').value;
+    if (this.renderMarkdown) {
+      preview.innerHTML = this.renderMarkdown(markdown);
+    }
+  }
+
+  async loadYaml() {
+    // Only needed when the dataset card is changed or checked, so kept out of the main bundle
+    if (!this.yaml) {
+      const { default: YAML } = await import('yaml');
+      this.yaml = YAML;
+    }
+    return this.yaml;
+  }
 
-    const repoName = `${this.username}/${this.datasetName}`;
+  async parseFrontMatter(markdown) {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+      return { data: {}, body: markdown };
+    }
+    const YAML = await this.loadYaml();
+    return { data: YAML.parse(match[1]) || {}, body: markdown.slice(match[0].length) };
+  }
+
+  async stringifyFrontMatter(data, body) {
+    const YAML = await this.loadYaml();
+    return `---\n${YAML.stringify(data)}---\n${body}`;
+  }
 
-    // Create the dataset repository
+  loadHistory() {
     try {
-      await createRepo({
-        repo: {
-          type: 'dataset',
-          name: repoName,
-        },
-        credentials: { accessToken: this.accessToken },
-        license: this.config.license,
-      });
+      const entries = JSON.parse(localStorage.getItem(HISTORY_KEY));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      return [];
+    }
+  }
 
-      this.updateStatus('uploading', 'Dataset repository created');
+  saveHistory(entries) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(entries.slice(0, HISTORY_LIMIT)));
     } catch (error) {
-      // Repository might already exist
-      if (!error.message.includes('already exists')) {
-        throw error;
-      }
-      this.updateStatus('uploading', 'Using existing dataset repository');
+      // History is a convenience; an export doesn't fail because it can't be recorded
+      console.warn('Could not save export history:', error);
     }
+    this.renderHistory();
+  }
 
-    const parquetUrl = this.getDownloadUrl(this.parquetJobId, 'parquet');
-    const readmeUrl = this.getDownloadUrl(this.readmeJobId, 'huggingface');
+  updateHistoryEntry(id, changes) {
+    const entries = this.loadHistory();
+    const entry = entries.find(item => item.id === id);
+    if (entry) {
+      Object.assign(entry, changes);
+      this.saveHistory(entries);
+    }
+  }
 
-    this.updateStatus('uploading', 'Uploading files to HuggingFace...');
+  startHistoryEntry() {
+    const entry = {
+      id: this.generateRandomState().slice(0, 16),
+      datasetName: this.datasetName,
+      namespace: this.target === 'upload' ? this.getTargetNamespace() || null : null,
+      private: this.isPrivateRepo(),
+      target: this.target,
+      sourceApiUrl: this.sourceApiUrl,
+      formats: this.formats,
+      fields: this.fields,
+      splitOptions: this.splitOptions,
+      repo: null,
+      datasetUrl: null,
+      branch: null,
+      pullRequestUrl: null,
+      revision: null,
+      rowCount: null,
+      startedAt: Date.now(),
+      finishedAt: null,
+      outcome: 'running',
+      error: null,
+    };
 
-    await uploadFiles({
-      repo: {
-        type: 'dataset',
-        name: repoName,
-      },
-      credentials: { accessToken: this.accessToken },
-      files: [
-        { path: 'data.parquet', content: new URL(parquetUrl) },
-        { path: 'README.md', content: new URL(readmeUrl) },
-      ],
-    });
+    this.historyId = entry.id;
+    this.saveHistory([entry, ...this.loadHistory()]);
+  }
 
-    this.datasetUrl = `https://huggingface.co/datasets/${repoName}`;
+  reopenHistoryEntry(id) {
+    // It may since have been removed, or pushed out by newer exports
+    if (!this.loadHistory().some(entry => entry.id === id)) {
+      return false;
+    }
+
+    this.historyId = id;
+    this.updateHistoryEntry(id, { outcome: 'running', error: null, finishedAt: null });
+    return true;
   }
 
-  async handleError(error) {
-    if (this.retryCount < this.maxRetries) {
-      this.retryCount++;
-      this.updateStatus('error', `Error: ${error.message}. Retrying (${this.retryCount}/${this.maxRetries})...`);
+  finishHistoryEntry(outcome, error = null) {
+    if (!this.historyId) {
+      return;
+    }
+
+    const changes = {
+      outcome,
+      error,
+      finishedAt: Date.now(),
+      rowCount: this.rowCount === undefined ? null : this.rowCount,
+    };
 
-      // Wait before retrying (exponential backoff)
-      await this.sleep(Math.pow(2, this.retryCount) * 1000);
+    // The owner is only settled once signed in, and the repo once it's been written to
+    if (this.target === 'upload') {
+      changes.namespace = this.getTargetNamespace() || null;
+    }
+    if (this.uploadResult && this.uploadResult.repo) {
+      const { repo, mode, branch, pullRequestUrl } = this.uploadResult;
+      changes.repo = repo;
+      changes.branch = mode === 'branch' ? branch : null;
+      changes.datasetUrl = `${this.config.hubUrl}/datasets/${repo}`;
+
+      // Until it's merged, a pull request's data is only on its own ref (refs/pr/N), not on main
+      const pullRequest = mode === 'pr' && pullRequestUrl ? pullRequestUrl.match(/\/discussions\/(\d+)/) : null;
+      changes.pullRequestUrl = mode === 'pr' ? pullRequestUrl : null;
+      changes.revision = pullRequest ? `refs/pr/${pullRequest[1]}` : changes.branch;
+    }
 
-      // Retry from the appropriate step
-      if (!this.accessToken) {
-        return this.startExport(true);
-      } else if (!this.parquetJobId || !this.readmeJobId) {
-        return this.submitExportJob();
-      } else if (!this.parquetReady || !this.readmeReady) {
-        return this.pollExportStatus();
-      } else {
-        return this.createAndUploadDataset();
-      }
-    } else {
-      this.updateStatus('error', `Failed after ${this.maxRetries} attempts: ${error.message}`);
+    this.updateHistoryEntry(this.historyId, changes);
+    this.historyId = null;
+  }
+
+  renderHistory() {
+    const list = this.shadowRoot.getElementById('history-list');
+    if (!list) return;
+
+    const entries = this.loadHistory();
+    this.shadowRoot.getElementById('history-count').textContent = entries.length > 0 ? ` (${entries.length})` : '';
+    this.shadowRoot.getElementById('clear-history-btn').style.display = entries.length > 0 ? '' : 'none';
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'help-text';
+      empty.textContent = 'No exports yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => list.appendChild(this.renderHistoryEntry(entry)));
+  }
+
+  renderHistoryEntry(entry) {
+    const item = document.createElement('li');
+    item.className = `history-entry ${entry.outcome}`;
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    const name = document.createElement('span');
+    name.textContent = entry.repo || (entry.namespace ? `${entry.namespace}/${entry.datasetName}` : entry.datasetName);
+    const outcome = document.createElement('span');
+    outcome.className = 'history-outcome';
+    // Another tab may still be running it, or it was interrupted; either way it isn't running here
+    const running = entry.outcome === 'running' && entry.id !== this.historyId;
+    outcome.textContent = running ? 'unfinished' : {
+      running: 'running',
+      success: entry.target === 'download' ? 'downloaded' : 'published',
+      warning: 'published with warnings',
+      error: 'failed',
+      cancelled: 'cancelled',
+    }[entry.outcome];
+    title.append(name, outcome);
+    item.appendChild(title);
+
+    const summary = [
+      entry.formats.map(format => (EXPORT_FORMATS[format] ? EXPORT_FORMATS[format].label : format)).join(', '),
+      entry.rowCount !== null ? `${entry.rowCount.toLocaleString()} rows` : null,
+      entry.branch ? `branch ${entry.branch}` : null,
+      entry.pullRequestUrl ? 'pull request' : null,
+    ].filter(Boolean).join(' · ');
+    const duration = entry.finishedAt ? `, took ${this.formatDuration((entry.finishedAt - entry.startedAt) / 1000)}` : '';
+
+    const lines = [
+      ['history-query', entry.sourceApiUrl],
+      ['history-detail', summary],
+      ['history-detail', `${new Date(entry.startedAt).toLocaleString()}${duration}`],
+      ['history-error', entry.error],
+    ];
+    lines.filter(([, text]) => text).forEach(([className, text]) => {
+      const line = document.createElement('div');
+      line.className = className;
+      line.textContent = text;
+      line.title = text;
+      item.appendChild(line);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+
+    if (entry.datasetUrl) {
+      const open = document.createElement('a');
+      open.href = entry.pullRequestUrl || entry.datasetUrl;
+      open.target = '_blank';
+      open.rel = 'noopener noreferrer';
+      open.textContent = entry.pullRequestUrl ? 'Open pull request' : 'Open';
+      actions.appendChild(open);
+
+      actions.appendChild(this.createHistoryAction('Copy load_dataset', async (button) => {
+        const snippet = `from datasets import load_dataset\n\nds = load_dataset("${entry.repo}"${entry.revision ? `, revision="${entry.revision}"` : ''})`;
+        try {
+          await navigator.clipboard.writeText(snippet);
+          button.textContent = 'Copied';
+        } catch (error) {
+          button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy load_dataset'; }, 2000);
+      }));
+    }
+
+    actions.appendChild(this.createHistoryAction('Re-run', () => this.rerunHistoryEntry(entry)));
+    actions.appendChild(this.createHistoryAction('Remove', () => {
+      this.saveHistory(this.loadHistory().filter(item => item.id !== entry.id));
+    }));
+
+    item.appendChild(actions);
+    return item;
+  }
+
+  createHistoryAction(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'secondary';
+    button.textContent = label;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+  }
+
+  rerunHistoryEntry(entry) {
+    if (this.isBusy()) {
+      return;
     }
+
+    // Same query, options and target as before; the pre-flight checks still ask before anything runs
+    this.restoreExportSettings({
+      datasetName: entry.datasetName,
+      namespace: entry.namespace,
+      private: entry.private,
+      sourceApiUrl: entry.sourceApiUrl,
+      previewData: this.shadowRoot.getElementById('preview-data').checked,
+      reviewCard: this.shadowRoot.getElementById('review-card').checked,
+      options: { formats: entry.formats, fields: entry.fields, splits: entry.splitOptions },
+    });
+    this.startExport({ target: entry.target, dryRun: false });
+  }
+
+  handleError(error) {
+    // Retries have already happened in runStepWithRetries; this is the final state
+    const attempts = error.attempts || 1;
+    const message = attempts > 1 ? `Failed after ${attempts} attempts: ${error.message}` : error.message;
+
+    this.updateStatus('error', message);
+    this.finishHistoryEntry('error', message);
+    this.emit('export-error', {
+      message: error.message,
+      step: error.step || this.step,
+      kind: error.kind || this.classifyError(error),
+      attempts,
+      error,
+    });
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    // Cancelling the export cuts the wait short
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createCancelError());
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   generateRandomState() {
@@ -538,34 +4224,42 @@ class HFDatasetExporter extends HTMLElement {
   updateStatus(type, message) {
     this.exportStatus = type;
     const statusEl = this.shadowRoot.getElementById('status-message');
-    const progressBar = this.shadowRoot.getElementById('progress-bar');
+    const stages = this.shadowRoot.getElementById('stages');
     const exportBtn = this.shadowRoot.getElementById('export-btn');
+    const cancelBtn = this.shadowRoot.getElementById('cancel-btn');
 
     if (statusEl) {
       statusEl.textContent = message;
       statusEl.className = `status ${type}`;
     }
 
-    if (progressBar) {
-      if (type === 'exporting' || type === 'uploading') {
-        progressBar.style.display = 'block';
-        progressBar.value = this.uploadProgress;
-      } else {
-        progressBar.style.display = 'none';
-      }
+    if (stages) {
+      stages.style.display = (type === 'exporting' || type === 'reviewing' || type === 'uploading' || type === 'retrying') ? 'block' : 'none';
     }
 
     if (exportBtn) {
-      exportBtn.disabled = (type === 'exporting' || type === 'uploading' || type === 'authenticating');
+      exportBtn.disabled = this.isBusy();
+    }
+
+    const downloadBtn = this.shadowRoot.getElementById('download-btn');
+    if (downloadBtn) {
+      downloadBtn.disabled = this.isBusy();
+    }
+
+    if (cancelBtn) {
+      cancelBtn.style.display = this.isBusy() ? 'block' : 'none';
     }
+
+    this.updateSessionInfo();
   }
 
   showDatasetLink() {
     const linkContainer = this.shadowRoot.getElementById('dataset-link');
     if (linkContainer && this.datasetUrl) {
+      const label = (this.uploadResult && this.uploadResult.linkLabel) || 'View dataset on HuggingFace →';
       linkContainer.innerHTML = `
         <a href="${this.datasetUrl}" target="_blank" rel="noopener noreferrer">
-          View dataset on HuggingFace →
+          ${label}
         </a>
       `;
       linkContainer.style.display = 'block';
@@ -603,7 +4297,8 @@ class HFDatasetExporter extends HTMLElement {
           color: #333;
         }
 
-        input[type="text"] {
+        input[type="text"],
+        input[type="password"] {
           width: 100%;
           padding: 8px 12px;
           font-size: 14px;
@@ -613,11 +4308,97 @@ class HFDatasetExporter extends HTMLElement {
           font-family: 'Monaco', 'Menlo', monospace;
         }
 
-        input[type="text"]:focus {
+        input[type="text"]:focus,
+        input[type="password"]:focus {
+          outline: none;
+          border-color: #ff9d00;
+        }
+
+        select {
+          width: 100%;
+          padding: 8px 12px;
+          font-size: 14px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+          box-sizing: border-box;
+          background: #ffffff;
+        }
+
+        select:focus {
           outline: none;
           border-color: #ff9d00;
         }
 
+        label.checkbox {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: 400;
+        }
+
+        .checkbox-group {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px 16px;
+        }
+
+        .checkbox-group label.checkbox {
+          margin-bottom: 0;
+        }
+
+        #columns-group {
+          display: none;
+        }
+
+        .column-row {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .column-row label.checkbox {
+          flex: 1;
+          margin-bottom: 0;
+        }
+
+        .column-row button.secondary {
+          width: auto;
+          margin-top: 0;
+          padding: 2px 8px;
+        }
+
+        .split-options {
+          display: none;
+          margin-top: 8px;
+          padding: 12px;
+          background: #fafafa;
+          border: 1px solid #e0e0e0;
+          border-radius: 4px;
+        }
+
+        .split-row {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 8px;
+        }
+
+        .split-row label {
+          flex: 1;
+          font-size: 12px;
+          font-weight: 400;
+        }
+
+        .split-row input,
+        .split-row select {
+          width: 100%;
+          margin-top: 4px;
+          padding: 6px 8px;
+          font-size: 13px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+          box-sizing: border-box;
+        }
+
         button {
           width: 100%;
           padding: 10px 16px;
@@ -640,6 +4421,55 @@ class HFDatasetExporter extends HTMLElement {
           cursor: not-allowed;
         }
 
+        button.secondary {
+          margin-top: 8px;
+          color: #333;
+          background: #f5f5f5;
+          border: 1px solid #ccc;
+        }
+
+        #cancel-btn {
+          display: none;
+        }
+
+        #session-info {
+          display: none;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+          margin-bottom: 16px;
+          font-size: 13px;
+          color: #333;
+        }
+
+        #session-info button {
+          width: auto;
+          margin-top: 0;
+          padding: 4px 10px;
+          font-size: 12px;
+        }
+
+        #resume-banner {
+          display: none;
+          margin-bottom: 16px;
+          padding: 12px;
+          border-radius: 4px;
+          font-size: 13px;
+          background: #fff8e1;
+          color: #8d6e00;
+          border: 1px solid #ffe082;
+        }
+
+        #resume-banner .actions {
+          display: flex;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        #resume-banner button.secondary {
+          margin-top: 0;
+        }
+
         .status {
           margin-top: 16px;
           padding: 12px;
@@ -654,6 +4484,7 @@ class HFDatasetExporter extends HTMLElement {
 
         .status.authenticating,
         .status.exporting,
+        .status.reviewing,
         .status.uploading {
           display: block;
           background: #e3f2fd;
@@ -668,6 +4499,14 @@ class HFDatasetExporter extends HTMLElement {
           border: 1px solid #81c784;
         }
 
+        .status.retrying,
+        .status.warning {
+          display: block;
+          background: #fff8e1;
+          color: #8d6e00;
+          border: 1px solid #ffe082;
+        }
+
         .status.error {
           display: block;
           background: #ffebee;
@@ -675,11 +4514,155 @@ class HFDatasetExporter extends HTMLElement {
           border: 1px solid #ef9a9a;
         }
 
+        #stages {
+          display: none;
+          margin-top: 12px;
+        }
+
+        .stage {
+          margin-bottom: 8px;
+          font-size: 13px;
+        }
+
+        .stage.pending {
+          opacity: 0.5;
+        }
+
+        .stage.done .stage-name::after {
+          content: ' ✓';
+          color: #2e7d32;
+        }
+
+        .stage-header {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+        }
+
+        .stage-name {
+          font-weight: 500;
+          color: #333;
+        }
+
+        .stage-detail {
+          color: #666;
+          font-variant-numeric: tabular-nums;
+        }
+
+        #verification-checks {
+          margin: 0;
+          padding-left: 0;
+          list-style: none;
+        }
+
+        #verification-checks .ok {
+          color: #2e7d32;
+        }
+
+        #verification-checks .warn {
+          color: #c62828;
+        }
+
+        #verification-checks .pending {
+          color: #666;
+        }
+
+        #preview-file {
+          margin-bottom: 8px;
+        }
+
+        .table-scroll {
+          overflow-x: auto;
+          margin: 8px 0;
+        }
+
+        #preview-table {
+          border-collapse: collapse;
+          font-size: 12px;
+          font-family: 'Monaco', 'Menlo', monospace;
+        }
+
+        #preview-table th,
+        #preview-table td {
+          padding: 3px 8px 3px 0;
+          text-align: left;
+          white-space: nowrap;
+          border-bottom: 1px solid #e0e0e0;
+        }
+
+        .pager {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+          margin-bottom: 8px;
+        }
+
+        .pager button.secondary {
+          width: auto;
+          margin-top: 0;
+          padding: 4px 12px;
+        }
+
+        #job-list {
+          width: 100%;
+          margin-top: 6px;
+          border-collapse: collapse;
+          font-size: 12px;
+        }
+
+        #job-list th {
+          text-align: left;
+          font-weight: 500;
+          color: #666;
+          border-bottom: 1px solid #e0e0e0;
+        }
+
+        #job-list td {
+          padding: 3px 4px 3px 0;
+          font-variant-numeric: tabular-nums;
+        }
+
+        #job-list td:nth-child(2) {
+          font-family: 'Monaco', 'Menlo', monospace;
+        }
+
+        #job-list tr.done td:nth-child(3) {
+          color: #2e7d32;
+        }
+
+        #job-list tr.failed td:nth-child(3) {
+          color: #c62828;
+          cursor: help;
+        }
+
+        #job-list tbody:empty {
+          display: none;
+        }
+
+        #job-list button {
+          width: auto;
+          margin-top: 0;
+          padding: 2px 8px;
+          font-size: 11px;
+        }
+
+        #upload-files {
+          margin: 4px 0 0 0;
+          padding-left: 18px;
+          font-size: 12px;
+          color: #666;
+          font-family: 'Monaco', 'Menlo', monospace;
+        }
+
+        #upload-files:empty {
+          display: none;
+        }
+
         progress {
           width: 100%;
           height: 8px;
-          margin-top: 12px;
-          display: none;
+          margin-top: 4px;
           border-radius: 4px;
         }
 
@@ -713,16 +4696,228 @@ class HFDatasetExporter extends HTMLElement {
           background: #eeeeee;
         }
 
+        #history {
+          margin-top: 16px;
+          font-size: 13px;
+        }
+
+        #history summary {
+          cursor: pointer;
+          color: #666;
+        }
+
+        #history-list {
+          margin: 8px 0 0 0;
+          padding-left: 0;
+          list-style: none;
+        }
+
+        .history-entry {
+          padding: 8px 0;
+          border-bottom: 1px solid #e0e0e0;
+        }
+
+        .history-title {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          font-weight: 500;
+        }
+
+        .history-outcome {
+          font-weight: normal;
+          color: #666;
+        }
+
+        .history-entry.success .history-outcome {
+          color: #2e7d32;
+        }
+
+        .history-entry.warning .history-outcome {
+          color: #8d6e00;
+        }
+
+        .history-entry.error .history-outcome,
+        .history-error {
+          color: #c62828;
+        }
+
+        .history-query {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          font-family: 'Monaco', 'Menlo', monospace;
+          font-size: 11px;
+          color: #333;
+        }
+
+        .history-detail {
+          color: #666;
+        }
+
+        .history-actions {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 4px;
+        }
+
+        .history-actions a {
+          color: #ff9d00;
+        }
+
+        #history button.secondary {
+          width: auto;
+          margin-top: 0;
+          padding: 2px 8px;
+          font-size: 12px;
+        }
+
+        #history #clear-history-btn {
+          margin-top: 8px;
+        }
+
         .help-text {
           font-size: 12px;
           color: #666;
           margin-top: 4px;
         }
+
+        .panel {
+          display: none;
+          margin-top: 16px;
+          padding: 12px;
+          font-size: 13px;
+          border: 1px solid #e0e0e0;
+          border-radius: 4px;
+          background: #fafafa;
+        }
+
+        .panel h4 {
+          margin: 0 0 8px 0;
+          font-size: 14px;
+        }
+
+        .panel .form-group {
+          margin-bottom: 8px;
+        }
+
+        #query-builder {
+          margin: 0 0 16px 0;
+        }
+
+        #preflight-summary,
+        #plan-summary,
+        #preview-summary {
+          display: grid;
+          grid-template-columns: auto 1fr;
+          gap: 4px 12px;
+          margin: 0 0 12px 0;
+        }
+
+        #preflight-summary dt,
+        #plan-summary dt,
+        #preview-summary dt {
+          font-weight: 500;
+          color: #333;
+        }
+
+        #preflight-summary dd,
+        #plan-summary dd,
+        #preview-summary dd {
+          white-space: pre-wrap;
+          margin: 0;
+          color: #333;
+        }
+
+        #repo-summary {
+          margin-bottom: 12px;
+          color: #333;
+        }
+
+        #repo-summary ul {
+          max-height: 120px;
+          overflow-y: auto;
+          margin: 6px 0 0 0;
+          padding-left: 18px;
+          font-family: 'Monaco', 'Menlo', monospace;
+          font-size: 12px;
+        }
+
+        #repo-summary li.replaced {
+          color: #c62828;
+        }
+
+        .panel textarea {
+          width: 100%;
+          min-height: 160px;
+          padding: 8px 12px;
+          font-size: 12px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+          box-sizing: border-box;
+          font-family: 'Monaco', 'Menlo', monospace;
+          resize: vertical;
+        }
+
+        #card-preview {
+          max-height: 240px;
+          overflow-y: auto;
+          padding: 8px 12px;
+          background: #ffffff;
+          border: 1px solid #e0e0e0;
+          border-radius: 4px;
+        }
+
+        #card-preview h1 {
+          font-size: 18px;
+        }
+
+        #card-preview h2 {
+          font-size: 16px;
+        }
+
+        #card-preview pre {
+          overflow-x: auto;
+          background: #f5f5f5;
+          padding: 8px;
+        }
       </style>
 
       <div>
         <h3>Export to HuggingFace Dataset</h3>
 
+        <div id="session-info">
+          <span id="session-user"></span>
+          <button id="sign-out-btn" class="secondary">Sign out</button>
+        </div>
+
+        <div id="resume-banner">
+          <div id="resume-message"></div>
+          <div class="actions">
+            <button id="resume-btn">Resume</button>
+            <button id="discard-btn" class="secondary">Discard</button>
+          </div>
+        </div>
+
+        <div id="query-builder" class="panel">
+          <h4>Query</h4>
+          <div class="form-group">
+            <label for="query-text">Search</label>
+            <input type="text" id="query-text" autocomplete="off" />
+          </div>
+          ${QUERY_FACETS.map(({ field, label, placeholder }) => `
+          <div class="form-group">
+            <label for="facet-${field}">${label}</label>
+            <input type="text" id="facet-${field}" placeholder="${placeholder}" autocomplete="off" />
+          </div>`).join('')}
+          <div class="form-group">
+            <label for="query-fields">Fields</label>
+            <input type="text" id="query-fields" placeholder="description, rna_type" autocomplete="off" />
+          </div>
+          <div id="query-hits" class="help-text"></div>
+        </div>
+
         <div class="form-group">
           <label for="dataset-name">Dataset Name</label>
           <input
@@ -734,13 +4929,235 @@ class HFDatasetExporter extends HTMLElement {
           <div class="help-text">Lowercase letters, numbers, hyphens, and underscores only</div>
         </div>
 
-        <button id="export-btn">Export to HuggingFace</button>
+        <div class="form-group upload-only">
+          <label for="namespace">Owner</label>
+          <select id="namespace">
+            <option value="">Your account</option>
+          </select>
+          <div class="help-text">Your organizations appear here after signing in to HuggingFace</div>
+        </div>
+
+        <div class="form-group">
+          <label>Formats</label>
+          <div id="formats" class="checkbox-group"></div>
+          <div class="help-text">A README dataset card is always included</div>
+        </div>
+
+        <div id="columns-group" class="form-group">
+          <label>Columns</label>
+          <div id="columns"></div>
+          <div class="help-text">Leave all unchecked for the export service's default columns. The list order is the column order.</div>
+        </div>
+
+        <div class="form-group">
+          <label class="checkbox">
+            <input type="checkbox" id="splits-enabled" />
+            Create train / validation / test splits
+          </label>
+          <div id="split-options" class="split-options">
+            <div class="split-row">
+              <label>Train % <input type="number" id="split-train" min="0" max="100" step="1" /></label>
+              <label>Validation % <input type="number" id="split-validation" min="0" max="100" step="1" /></label>
+              <label>Test % <input type="number" id="split-test" min="0" max="100" step="1" /></label>
+            </div>
+            <div class="split-row">
+              <label>Seed <input type="number" id="split-seed" min="0" step="1" /></label>
+              <label>Stratify by
+                <select id="split-stratify">
+                  <option value="">Nothing (random)</option>
+                  <option value="rna_type">RNA type</option>
+                  <option value="cluster">Sequence similarity cluster</option>
+                </select>
+              </label>
+            </div>
+            <div class="help-text">Splits apply to the parquet files. Stratification requires support from the export service.</div>
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label class="checkbox upload-only">
+            <input type="checkbox" id="private-repo" />
+            Private dataset
+          </label>
+          <label class="checkbox upload-only">
+            <input type="checkbox" id="dry-run" />
+            Dry run: only list what would be pushed to the Hub
+          </label>
+          <label class="checkbox upload-only">
+            <input type="checkbox" id="preview-data" />
+            Preview the exported data before uploading
+          </label>
+          <label class="checkbox">
+            <input type="checkbox" id="review-card" />
+            Review the dataset card before uploading
+          </label>
+        </div>
 
-        <progress id="progress-bar" max="100" value="0"></progress>
+        <button id="export-btn">Export to HuggingFace</button>
+        <button id="download-btn" class="secondary upload-only">Download instead</button>
+        <button id="reexport-btn" class="secondary">Re-export from existing dataset</button>
+
+        <div id="reexport-panel" class="panel">
+          <div class="form-group">
+            <label for="reexport-repo">Dataset</label>
+            <input type="text" id="reexport-repo" placeholder="owner/dataset-name" autocomplete="off" />
+          </div>
+          <button id="reexport-load">Load export settings</button>
+          <div id="reexport-message" class="help-text"></div>
+        </div>
+        <button id="cancel-btn" class="secondary">Cancel export</button>
+
+        <div id="stages">
+          <div id="stage-export" class="stage pending">
+            <div class="stage-header"><span class="stage-name">1. Export</span><span id="export-detail" class="stage-detail"></span></div>
+            <progress id="export-progress" max="100" value="0"></progress>
+            <table id="job-list">
+              <thead>
+                <tr><th>Job</th><th>Task</th><th>State</th><th>Progress</th><th>Time</th><th></th></tr>
+              </thead>
+              <tbody></tbody>
+            </table>
+          </div>
+          <div id="stage-upload" class="stage pending">
+            <div class="stage-header"><span class="stage-name">2. Upload</span><span id="upload-detail" class="stage-detail"></span></div>
+            <progress id="upload-progress" max="100" value="0"></progress>
+            <ul id="upload-files"></ul>
+          </div>
+          <div id="stage-commit" class="stage pending">
+            <div class="stage-header"><span class="stage-name">3. Commit</span><span id="commit-detail" class="stage-detail"></span></div>
+          </div>
+        </div>
 
         <div id="status-message" class="status idle"></div>
 
+        <div id="token-login" class="panel">
+          <h4>Sign in with an access token</h4>
+          <div class="form-group">
+            <label for="hf-token">HuggingFace access token</label>
+            <input type="password" id="hf-token" placeholder="hf_..." autocomplete="off" />
+            <div class="help-text">Create one with write access under Access Tokens in your HuggingFace settings. It is only kept on this page unless you choose otherwise below.</div>
+          </div>
+          <label class="checkbox">
+            <input type="checkbox" id="remember-token" />
+            Remember it for this browser session
+          </label>
+          <button id="token-submit">Sign in</button>
+          <div id="token-message" class="help-text"></div>
+        </div>
+
+        <div id="popup-blocked" class="panel">
+          <h4>Login window blocked</h4>
+          <div class="help-text">Your browser blocked the HuggingFace login pop-up. Allow pop-ups for this site and try again, or sign in on this page instead: you'll be sent to HuggingFace and brought back here, and the export will carry on.</div>
+          <button id="popup-retry">Try the pop-up again</button>
+          <button id="login-redirect" class="secondary">Sign in on this page instead</button>
+        </div>
+
+        <div id="preflight" class="panel">
+          <h4>Ready to export</h4>
+          <dl id="preflight-summary"></dl>
+          <button id="preflight-confirm">Start export</button>
+        </div>
+
+        <div id="data-preview" class="panel">
+          <h4>Data preview</h4>
+          <select id="preview-file"></select>
+          <div id="preview-message" class="help-text"></div>
+          <div id="preview-content">
+            <dl id="preview-summary"></dl>
+            <details>
+              <summary>Schema</summary>
+              <ul id="preview-schema"></ul>
+            </details>
+            <div class="table-scroll">
+              <table id="preview-table"></table>
+            </div>
+            <div class="pager">
+              <button id="preview-prev" class="secondary">Previous</button>
+              <span id="preview-page"></span>
+              <button id="preview-next" class="secondary">Next</button>
+            </div>
+          </div>
+          <button id="preview-confirm">Looks good, continue</button>
+          <button id="preview-abort" class="secondary">Cancel export</button>
+        </div>
+
+        <div id="card-editor" class="panel">
+          <h4>Dataset card</h4>
+          <div class="form-group">
+            <label for="card-pretty-name">Pretty name</label>
+            <input type="text" id="card-pretty-name" />
+          </div>
+          <div class="form-group">
+            <label for="card-license">License</label>
+            <input type="text" id="card-license" />
+          </div>
+          <div class="form-group">
+            <label for="card-tags">Tags</label>
+            <input type="text" id="card-tags" placeholder="biology, rna" />
+          </div>
+          <div class="form-group">
+            <label for="card-task-categories">Task categories</label>
+            <input type="text" id="card-task-categories" placeholder="text-classification" />
+          </div>
+          <div class="form-group">
+            <label for="card-size-categories">Size category</label>
+            <select id="card-size-categories">
+              <option value="">Not set</option>
+              ${SIZE_CATEGORIES.map(category => `<option value="${category}">${category.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="card-body">Card text (Markdown)</label>
+            <textarea id="card-body"></textarea>
+          </div>
+          <div class="form-group">
+            <label>Preview</label>
+            <div id="card-preview"></div>
+          </div>
+          <button id="card-confirm">Use this card and upload</button>
+        </div>
+
+        <div id="update-options" class="panel">
+          <h4>This dataset already exists</h4>
+          <div id="repo-summary"></div>
+          <div class="form-group">
+            <label class="checkbox"><input type="radio" name="update-mode" value="pr" /> Open a pull request</label>
+            <label class="checkbox"><input type="radio" name="update-mode" value="branch" /> Commit to a new branch</label>
+            <input type="text" id="update-branch" />
+            <label class="checkbox"><input type="radio" name="update-mode" value="overwrite" /> Overwrite main</label>
+          </div>
+          <div class="form-group">
+            <label for="commit-message">Commit message</label>
+            <input type="text" id="commit-message" />
+          </div>
+          <button id="update-confirm">Continue upload</button>
+        </div>
+
+        <div id="dry-run-plan" class="panel">
+          <h4>Dry run</h4>
+          <dl id="plan-summary"></dl>
+          <ul id="plan-files"></ul>
+        </div>
+
+        <div id="download-panel" class="panel">
+          <h4>Files</h4>
+          <ul id="download-files"></ul>
+          <button id="save-files-btn">Save all to a folder</button>
+          <div id="download-status" class="help-text"></div>
+        </div>
+
+        <div id="verification" class="panel">
+          <h4>Verification</h4>
+          <ul id="verification-checks"></ul>
+        </div>
+
         <div id="dataset-link"></div>
+
+        <details id="history">
+          <summary>Export history<span id="history-count"></span></summary>
+          <ul id="history-list"></ul>
+          <button id="clear-history-btn" class="secondary">Clear history</button>
+        </details>
       </div>
     `;
   }
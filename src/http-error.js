@@ -0,0 +1,35 @@
+// Errors for failed HTTP responses, carrying what the retry engine needs to classify them
+
+export function createHttpError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+
+  // Retry-After is either a number of seconds or an HTTP date
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (Number.isFinite(delayMs)) {
+      error.retryAfterMs = Math.max(0, delayMs);
+    }
+  }
+
+  return error;
+}
+
+// fetch rejects with a TypeError when no response came back at all (offline, DNS, CORS, a dropped connection).
+// Those are marked so the retry engine can tell them from a TypeError thrown by a bug
+export function markNetworkError(error) {
+  if (error instanceof TypeError) {
+    error.network = true;
+  }
+  return error;
+}
+
+export async function networkFetch(resource, init) {
+  try {
+    return await fetch(resource, init);
+  } catch (error) {
+    throw markNetworkError(error);
+  }
+}